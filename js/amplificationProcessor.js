@@ -0,0 +1,136 @@
+// Amplification Processor Module
+// Baseline correction, threshold and Cq for per-cycle qPCR data
+import { linearFit, stdDev, median, showToast } from './utils.js';
+
+export class AmplificationProcessor {
+  constructor() {
+    this.rawData = null;
+    this.results = null;
+    this.settings = {
+      baselineStart: 3,
+      baselineEnd: 15,
+      threshold: null, // null = automatic
+      thresholdSD: 10
+    };
+  }
+
+  setData(amplification) {
+    this.rawData = amplification;
+    this.results = null;
+  }
+
+  hasData() {
+    return !!(this.rawData && this.rawData.wells.length > 0);
+  }
+
+  analyze(settings = {}) {
+    if (!this.hasData()) return null;
+
+    this.settings = { ...this.settings, ...settings };
+
+    const { cycles, wells } = this.rawData;
+    const { baselineStart, baselineEnd } = this.settings;
+
+    if (baselineEnd <= baselineStart || baselineEnd > cycles.length) {
+      showToast('Invalid baseline', `Baseline must lie within cycles 1-${cycles.length}`, 'error');
+      return null;
+    }
+
+    // 1. Baseline: straight line through Rn over the baseline cycles
+    const fits = wells.map(well => this.fitBaseline(cycles, well.rn, baselineStart, baselineEnd));
+
+    // 2. Threshold: user value or a multiple of the typical baseline noise
+    const threshold = this.settings.threshold !== null
+      ? this.settings.threshold
+      : this.settings.thresholdSD * median(fits.map(fit => fit.noise));
+
+    // 3. Cq: fractional cycle where ΔRn first crosses the threshold
+    const results = wells.map((well, idx) => {
+      let fit = fits[idx];
+      let cq = this.findCq(cycles, fit.deltaRn, threshold, baselineStart);
+
+      // Early amplifiers rise inside the baseline window: end their baseline a few cycles before
+      const earlyEnd = cq !== null ? Math.floor(cq) - 3 : null;
+      if (earlyEnd !== null && cq < baselineEnd && earlyEnd > baselineStart + 1) {
+        fit = this.fitBaseline(cycles, well.rn, baselineStart, earlyEnd);
+        cq = this.findCq(cycles, fit.deltaRn, threshold, baselineStart);
+      }
+
+      return {
+        ...well,
+        baseline: { slope: fit.slope, intercept: fit.intercept, start: baselineStart, end: fit.end },
+        deltaRn: fit.deltaRn,
+        instrumentDeltaRn: well.deltaRn,
+        cq,
+        deltaCt: cq !== null && well.instrumentCt !== null ? cq - well.instrumentCt : null
+      };
+    });
+
+    this.results = { cycles, wells: results, threshold, settings: { ...this.settings } };
+
+    window.dispatchEvent(new CustomEvent('amplificationComplete', {
+      detail: this.results
+    }));
+
+    return this.results;
+  }
+
+  fitBaseline(cycles, rn, start, end) {
+    const { slope, intercept } = linearFit(cycles.slice(start - 1, end), rn.slice(start - 1, end));
+    const deltaRn = rn.map((value, i) => value - (slope * cycles[i] + intercept));
+    const noise = stdDev(deltaRn.slice(start - 1, end));
+
+    return { slope, intercept, end, deltaRn, noise };
+  }
+
+  findCq(cycles, deltaRn, threshold, startCycle) {
+    for (let i = Math.max(1, startCycle); i < deltaRn.length; i++) {
+      if (deltaRn[i] >= threshold && deltaRn[i - 1] < threshold) {
+        // Interpolate in log space where both points are positive (exponential phase)
+        if (deltaRn[i - 1] > 0) {
+          const logLow = Math.log10(deltaRn[i - 1]);
+          const logHigh = Math.log10(deltaRn[i]);
+          return cycles[i - 1] + (Math.log10(threshold) - logLow) / (logHigh - logLow);
+        }
+        return cycles[i - 1] + (threshold - deltaRn[i - 1]) / (deltaRn[i] - deltaRn[i - 1]);
+      }
+    }
+    return null;
+  }
+
+  getResults() {
+    return this.results;
+  }
+
+  exportResults() {
+    if (!this.results) return null;
+
+    const { cycles, wells, threshold } = this.results;
+    const rows = [['Well', 'Sample Name', 'Detector', 'Task', 'Cq', 'Instrument Ct', 'Cq - Ct', 'Threshold', 'Baseline Start', 'Baseline End', 'Baseline Slope', 'Baseline Intercept']];
+
+    wells.forEach(well => {
+      rows.push([
+        well.well,
+        well.sampleName,
+        well.detector,
+        well.task,
+        well.cq !== null ? well.cq : 'Undetermined',
+        well.instrumentCt !== null ? well.instrumentCt : 'Undetermined',
+        well.deltaCt !== null ? well.deltaCt : '',
+        threshold,
+        well.baseline.start,
+        well.baseline.end,
+        well.baseline.slope,
+        well.baseline.intercept
+      ]);
+    });
+
+    rows.push([]);
+    rows.push(['Cycle', ...wells.map(well => `${well.well}_dRn`)]);
+    cycles.forEach((cycle, i) => {
+      rows.push([cycle, ...wells.map(well => well.deltaRn[i])]);
+    });
+
+    return rows;
+  }
+}
@@ -0,0 +1,30 @@
+// Analysis Worker
+// Runs DataProcessor.computeAnalysis off the main thread. Each message carries the extracted samples,
+// settings and processing log; the worker answers with progress messages and then the result or an error.
+import { DataProcessor } from './dataProcessor.js';
+
+self.addEventListener('message', (e) => {
+  const { id, temperatures, samples, settings, log } = e.data;
+
+  const processor = new DataProcessor();
+  processor.settings = settings;
+  processor.processingLog = log;
+  processor.processedData = { temperatures, samples };
+
+  try {
+    const result = processor.computeAnalysis((step, label) => {
+      self.postMessage({ id, type: 'progress', step, label });
+    });
+    self.postMessage({
+      id,
+      type: 'result',
+      samples: result.samples,
+      regions: result.regions,
+      replicateGroups: result.replicateGroups,
+      meltRegions: processor.settings.meltRegions,
+      log: processor.processingLog
+    });
+  } catch (error) {
+    self.postMessage({ id, type: 'error', message: error.message });
+  }
+});
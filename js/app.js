@@ -1,16 +1,30 @@
 // Main Application
 import { FileHandler } from './fileHandler.js';
-import { DataProcessor } from './dataProcessor.js';
+import { DataProcessor, STANDARD_REFERENCE_PREFIX, TM_METHODS } from './dataProcessor.js';
 import { ChartManager } from './chartManager.js';
 import { ExportManager } from './exportManager.js';
+import { AmplificationProcessor } from './amplificationProcessor.js';
+import { TemperatureQC } from './temperatureQC.js';
+import { RunInfoPanel } from './runInfoPanel.js';
+import { SampleSheet } from './sampleSheet.js';
+import { UNCLASSIFIED } from './genotypeClustering.js';
+import { NO_CALL } from './genotypeCaller.js';
+import { QC_STATUS } from './wellQC.js';
 import { showToast, formatNumber } from './utils.js';
 
+// Pause (ms) in slider movement before the analysis reruns
+const SLIDER_ANALYSIS_DELAY = 250;
+
 class HRMAnalyzer {
   constructor() {
     this.fileHandler = new FileHandler();
     this.dataProcessor = new DataProcessor();
     this.chartManager = new ChartManager();
-    this.exportManager = new ExportManager(this.dataProcessor, this.chartManager);
+    this.amplificationProcessor = new AmplificationProcessor();
+    this.temperatureQC = new TemperatureQC();
+    this.runInfoPanel = new RunInfoPanel();
+    this.runFilter = '';
+    this.exportManager = new ExportManager(this.dataProcessor, this.chartManager, this.amplificationProcessor, this.temperatureQC);
     
     this.init();
   }
@@ -46,15 +60,132 @@ class HRMAnalyzer {
       analyzeBtn.addEventListener('click', () => this.runAnalysis());
     }
 
-    // Smoothing window slider
+    const cancelAnalysisBtn = document.getElementById('cancelAnalysisBtn');
+    if (cancelAnalysisBtn) {
+      cancelAnalysisBtn.addEventListener('click', () => {
+        if (this.dataProcessor.cancelAnalysis()) showToast('Analysis cancelled', 'The previous results are still shown', 'info');
+      });
+    }
+
+    // Smoothing window slider: reanalyzes while dragged, once it rests briefly
     const smoothingSlider = document.getElementById('smoothingWindow');
     const smoothingValue = document.getElementById('smoothingValue');
     if (smoothingSlider && smoothingValue) {
+      let timer = null;
       smoothingSlider.addEventListener('input', (e) => {
         smoothingValue.textContent = e.target.value;
+        clearTimeout(timer);
+        timer = setTimeout(() => {
+          if (this.dataProcessor.getProcessedData()) this.runAnalysis();
+        }, SLIDER_ANALYSIS_DELAY);
+      });
+    }
+
+    // Detector panel and dye channel (.eds files)
+    ['detectorPanel', 'dyeChannel', 'normalizeToReference'].forEach(id => {
+      const control = document.getElementById(id);
+      if (control) {
+        control.addEventListener('change', () => this.selectMeltChannel());
+      }
+    });
+
+    // Block temperature QC limits
+    ['qcFullRampRate', 'qcRampTolerance', 'qcZoneThreshold'].forEach(id => {
+      const input = document.getElementById(id);
+      if (input) {
+        input.addEventListener('change', () => this.runTemperatureQC());
+      }
+    });
+
+    // Normalization mode: manual shows editable pre/post-melt regions
+    const normalizationMode = document.getElementById('normalizationMode');
+    if (normalizationMode) {
+      normalizationMode.addEventListener('change', () => {
+        document.getElementById('manualRegionControls').classList.toggle('hidden', normalizationMode.value !== 'manual');
+        if (this.dataProcessor.getProcessedData()) this.runAnalysis();
+      });
+    }
+
+    // Derivative method: Savitzky-Golay shows its polynomial order
+    const derivativeMethod = document.getElementById('derivativeMethod');
+    if (derivativeMethod) {
+      derivativeMethod.addEventListener('change', () => {
+        document.getElementById('sgOrderControls').classList.toggle('hidden', derivativeMethod.value !== 'savitzkyGolay');
+        if (this.dataProcessor.getProcessedData()) this.runAnalysis();
+      });
+    }
+
+    const derivativePreviewSample = document.getElementById('derivativePreviewSample');
+    if (derivativePreviewSample) {
+      derivativePreviewSample.addEventListener('change', () => this.updateDerivativePreview());
+    }
+
+    const normalizationMethod = document.getElementById('normalizationMethod');
+    if (normalizationMethod) {
+      normalizationMethod.addEventListener('change', () => {
+        if (this.dataProcessor.getProcessedData()) this.runAnalysis();
+      });
+    }
+
+    // Savitzky-Golay order, temperature shift, peak detection, Tm, QC and replicate settings rerun the analysis
+    ['sgOrder', 'temperatureShift', 'shiftThreshold', 'shiftStart', 'shiftEnd', 'peakMinHeight', 'peakMinProminence', 'tmMethod',
+      'replicateTmTolerance', 'replicateCurveTolerance', 'excludeFailedFromClustering'].forEach(id => {
+      const input = document.getElementById(id);
+      if (input) {
+        input.addEventListener('change', () => {
+          if (this.dataProcessor.getProcessedData()) this.runAnalysis();
+        });
+      }
+    });
+
+    ['preMeltStart', 'preMeltEnd', 'postMeltStart', 'postMeltEnd'].forEach(id => {
+      const input = document.getElementById(id);
+      if (input) {
+        input.addEventListener('change', () => this.applyRegionInputs());
+      }
+    });
+
+    // Chart color scheme
+    const colorBySelect = document.getElementById('colorBy');
+    if (colorBySelect) {
+      colorBySelect.addEventListener('change', (e) => {
+        this.chartManager.setColorBy(e.target.value);
+        this.refreshCharts();
+      });
+    }
+
+    // Instrument derivative overlay
+    const instrumentDerivCheckbox = document.getElementById('showInstrumentDerivative');
+    if (instrumentDerivCheckbox) {
+      instrumentDerivCheckbox.addEventListener('change', (e) => {
+        this.chartManager.setShowInstrumentDerivative(e.target.checked);
+        this.refreshCharts();
+      });
+    }
+
+    // Tm validation tolerance
+    const tmToleranceInput = document.getElementById('tmTolerance');
+    if (tmToleranceInput) {
+      tmToleranceInput.addEventListener('change', () => {
+        if (this.dataProcessor.getProcessedData()) this.runAnalysis();
       });
     }
 
+    // Amplification view controls
+    ['ampSignal', 'ampScale'].forEach(id => {
+      const select = document.getElementById(id);
+      if (select) {
+        select.addEventListener('change', () => this.renderAmplificationChart());
+      }
+    });
+
+    ['ampBaselineStart', 'ampBaselineEnd', 'ampThreshold'].forEach(id => {
+      const input = document.getElementById(id);
+      if (input) {
+        input.addEventListener('change', () => this.runAmplificationAnalysis());
+      }
+    });
+
     // Tab switching
     document.querySelectorAll('.tab').forEach(tab => {
       tab.addEventListener('click', (e) => {
@@ -68,13 +199,119 @@ class HRMAnalyzer {
     
     if (selectAllBtn) {
       selectAllBtn.addEventListener('click', () => {
-        this.dataProcessor.setAllSamplesVisibility(true);
+        this.dataProcessor.setAllSamplesVisibility(true, sample => this.matchesRunFilter(sample));
       });
     }
     
     if (deselectAllBtn) {
       deselectAllBtn.addEventListener('click', () => {
-        this.dataProcessor.setAllSamplesVisibility(false);
+        this.dataProcessor.setAllSamplesVisibility(false, sample => this.matchesRunFilter(sample));
+      });
+    }
+
+    // Run filter for experiments merged from several files
+    const runFilter = document.getElementById('runFilter');
+    if (runFilter) {
+      runFilter.addEventListener('change', () => {
+        this.runFilter = runFilter.value;
+        this.applyRunFilter();
+      });
+    }
+
+    // Sample sheet annotations: file picker or drop onto the sample list
+    const sampleSheetBtn = document.getElementById('sampleSheetBtn');
+    const sampleSheetInput = document.getElementById('sampleSheetInput');
+    if (sampleSheetBtn && sampleSheetInput) {
+      sampleSheetBtn.addEventListener('click', () => sampleSheetInput.click());
+      sampleSheetInput.addEventListener('change', (e) => {
+        if (e.target.files[0]) this.loadSampleSheet(e.target.files[0]);
+        e.target.value = '';
+      });
+    }
+
+    // Genotype standards
+    const markStandardBtn = document.getElementById('markStandardBtn');
+    if (markStandardBtn) {
+      markStandardBtn.addEventListener('click', () => {
+        const genotype = document.getElementById('standardGenotype').value.trim();
+        if (!genotype) {
+          showToast('No genotype', 'Enter the genotype the selected wells are standards for', 'error');
+          return;
+        }
+        this.markStandards(genotype);
+      });
+    }
+
+    const unmarkStandardBtn = document.getElementById('unmarkStandardBtn');
+    if (unmarkStandardBtn) {
+      unmarkStandardBtn.addEventListener('click', () => this.markStandards(null));
+    }
+
+    // Replicate groups: manual assignment, exclusion of flagged replicates, tolerances
+    const assignReplicatesBtn = document.getElementById('assignReplicatesBtn');
+    if (assignReplicatesBtn) {
+      assignReplicatesBtn.addEventListener('click', () => {
+        const group = document.getElementById('replicateGroupName').value.trim();
+        if (!group) {
+          showToast('No group name', 'Enter the name of the replicate group for the selected wells', 'error');
+          return;
+        }
+        this.assignReplicates(group);
+      });
+    }
+
+    const autoReplicatesBtn = document.getElementById('autoReplicatesBtn');
+    if (autoReplicatesBtn) {
+      autoReplicatesBtn.addEventListener('click', () => this.assignReplicates(null));
+    }
+
+    const excludeFlaggedBtn = document.getElementById('excludeFlaggedBtn');
+    if (excludeFlaggedBtn) {
+      excludeFlaggedBtn.addEventListener('click', () => this.excludeFlagged());
+    }
+
+    const restoreExcludedBtn = document.getElementById('restoreExcludedBtn');
+    if (restoreExcludedBtn) {
+      restoreExcludedBtn.addEventListener('click', () => {
+        this.dataProcessor.setExcluded(this.dataProcessor.settings.excludedSamples, false);
+        this.runAnalysis();
+      });
+    }
+
+    const replicateTableBody = document.getElementById('replicateTableBody');
+    if (replicateTableBody) {
+      replicateTableBody.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-exclude-group]');
+        if (button) this.excludeFlagged(parseInt(button.dataset.excludeGroup));
+      });
+    }
+
+    const replicateMeansCheckbox = document.getElementById('showReplicateMeans');
+    if (replicateMeansCheckbox) {
+      replicateMeansCheckbox.addEventListener('change', (e) => {
+        this.chartManager.setShowReplicateMeans(e.target.checked);
+        this.refreshCharts();
+      });
+    }
+
+    const callConfidenceInput = document.getElementById('callConfidence');
+    if (callConfidenceInput) {
+      callConfidenceInput.addEventListener('change', () => {
+        if (this.dataProcessor.getProcessedData()) this.runAnalysis();
+      });
+    }
+
+    const sampleList = document.getElementById('sampleList');
+    if (sampleList) {
+      sampleList.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        sampleList.classList.add('drag-over');
+      });
+      sampleList.addEventListener('dragleave', () => sampleList.classList.remove('drag-over'));
+      sampleList.addEventListener('drop', (e) => {
+        e.preventDefault();
+        sampleList.classList.remove('drag-over');
+        if (e.dataTransfer.files[0]) this.loadSampleSheet(e.dataTransfer.files[0]);
       });
     }
 
@@ -96,6 +333,16 @@ class HRMAnalyzer {
       this.onAnalysisComplete(e.detail);
     });
 
+    // Amplification analysis complete
+    window.addEventListener('amplificationComplete', (e) => {
+      this.onAmplificationComplete(e.detail);
+    });
+
+    // Pre/post-melt bands dragged on the raw chart
+    window.addEventListener('meltRegionsChanged', (e) => {
+      this.onMeltRegionsChanged(e.detail);
+    });
+
     // Sample visibility changed
     window.addEventListener('sampleVisibilityChanged', (e) => {
       this.onSampleVisibilityChanged(e.detail);
@@ -105,15 +352,53 @@ class HRMAnalyzer {
   onDataLoaded(data) {
     console.log('Data loaded:', data);
     
-    // Set data in processor
-    this.dataProcessor.setData(data);
-    
     // Show analysis section
     document.getElementById('uploadSection').classList.add('hidden');
     document.getElementById('analysisSection').classList.remove('hidden');
     
+    // Run metadata (instrument, run times, thermal protocol)
+    if (data.runs) {
+      this.runInfoPanel.renderRuns(data.runs);
+    } else {
+      this.runInfoPanel.render(data.runInfo || null);
+    }
+    document.getElementById('runInfoTabBtn').classList.toggle('hidden', !data.runInfo && !data.runs);
+    this.populateRunFilter(data.runs || null);
+    
+    // Block temperature QC from the instrument's temperature log
+    this.temperatureQC.setData(data.temperatureLog || null, data.runInfo ? data.runInfo.protocol : null);
+    document.getElementById('runQCTabBtn').classList.toggle('hidden', !this.temperatureQC.hasData());
+    this.runTemperatureQC(true);
+    
+    // Amplification data (qPCR stage of an .eds experiment)
+    this.amplificationProcessor.setData(data.amplification || null);
+    document.getElementById('amplificationTabBtn').classList.toggle('hidden', !data.amplification);
+    if (data.amplification) {
+      this.runAmplificationAnalysis();
+    }
+    
+    // Detector panels and dye channels
+    this.populateChannelControls(data.meltChannels || null);
+    
+    // Amplification-only experiment: nothing to melt-analyze
+    if (data.sampleCount === 0) {
+      this.switchTab('amplification');
+      return;
+    }
+    
+    // Set data in processor
+    this.dataProcessor.setData(data);
+
+    // A sample sheet loaded for another plate no longer applies
+    if (!this.dataProcessor.sampleSheet) {
+      const status = document.getElementById('sampleSheetStatus');
+      status.textContent = '';
+      status.classList.add('hidden');
+      document.getElementById('sampleSheetInput').value = '';
+    }
+    
     // Populate reference sample dropdown
-    this.populateReferenceSamples(data);
+    this.populateReferenceSamples();
     
     // Populate data table
     this.populateDataTable(data);
@@ -122,19 +407,184 @@ class HRMAnalyzer {
     setTimeout(() => this.runAnalysis(), 500);
   }
 
-  populateReferenceSamples(data) {
+  populateChannelControls(meltChannels) {
+    const container = document.getElementById('channelControls');
+    if (!container) return;
+
+    const showControls = !!meltChannels && (meltChannels.detectors.length > 1 || meltChannels.dyes.length > 0);
+    container.classList.toggle('hidden', !showControls);
+    if (!showControls) return;
+
+    const { detectors, dyes, passiveReference, selected } = meltChannels;
+
+    const detectorSelect = document.getElementById('detectorPanel');
+    detectorSelect.innerHTML = '';
+    detectors.forEach(detector => {
+      detectorSelect.appendChild(new Option(detector, detector, false, detector === selected.detector));
+    });
+
+    const channelSelect = document.getElementById('dyeChannel');
+    channelSelect.innerHTML = '';
+    channelSelect.appendChild(new Option('Rn (instrument)', 'rn', false, selected.channel === 'rn'));
+    dyes.forEach(dye => {
+      channelSelect.appendChild(new Option(dye, dye, false, dye === selected.channel));
+    });
+
+    document.getElementById('passiveReferenceToggle').classList.toggle('hidden', !passiveReference);
+    document.getElementById('passiveReferenceLabel').textContent = `Normalize to ${passiveReference}`;
+    const referenceMissing = meltChannels.referenceMissing || [];
+    const referenceToggle = document.getElementById('normalizeToReference');
+    referenceToggle.checked = selected.normalizeToReference;
+    referenceToggle.disabled = selected.channel === 'rn' || referenceMissing.length > 0;
+    referenceToggle.title = referenceMissing.length > 0 ? `No ${passiveReference} trace in ${referenceMissing.join(', ')}` : '';
+  }
+
+  selectMeltChannel() {
+    this.fileHandler.selectMeltChannel({
+      detector: document.getElementById('detectorPanel').value,
+      channel: document.getElementById('dyeChannel').value,
+      normalizeToReference: document.getElementById('normalizeToReference').checked
+    });
+  }
+
+  populateReferenceSamples() {
     const select = document.getElementById('referenceSample');
-    if (!select) return;
+    const processedData = this.dataProcessor.getProcessedData();
+    if (!select || !processedData) return;
 
+    const current = select.value;
     select.innerHTML = '<option value="">Select reference...</option>';
     
-    data.headers.forEach((header, idx) => {
-      if (idx === 0) return; // Skip temperature column
+    processedData.samples.forEach((sample, idx) => {
       const option = document.createElement('option');
-      option.value = idx - 1;
-      option.textContent = header;
+      option.value = idx;
+      option.textContent = sample.name;
       select.appendChild(option);
     });
+
+    // Mean curve of each genotype's standards
+    const { standards } = this.dataProcessor.settings;
+    [...new Set(processedData.samples.map(sample => standards[sample.name]).filter(Boolean))].forEach(genotype => {
+      select.appendChild(new Option(`${genotype} standards (mean)`, `${STANDARD_REFERENCE_PREFIX}${genotype}`));
+    });
+
+    if (Array.from(select.options).some(option => option.value === current)) select.value = current;
+  }
+
+  // Samples to mark as standards, with the genotype each one is already a standard for
+  populateStandardSamples() {
+    const select = document.getElementById('standardSamples');
+    const processedData = this.dataProcessor.getProcessedData();
+    if (!select || !processedData) return;
+
+    const { standards } = this.dataProcessor.settings;
+    const selected = new Set(Array.from(select.selectedOptions).map(option => option.value));
+    select.innerHTML = '';
+    processedData.samples.forEach(sample => {
+      const label = standards[sample.name] ? `${sample.name} [${standards[sample.name]}]` : sample.name;
+      select.appendChild(new Option(label, sample.name, false, selected.has(sample.name)));
+    });
+
+    const genotypes = [...new Set(processedData.samples.map(sample => standards[sample.name]).filter(Boolean))];
+    const genotypeList = document.getElementById('standardGenotypeList');
+    genotypeList.innerHTML = '';
+    genotypes.forEach(genotype => genotypeList.appendChild(new Option(genotype)));
+
+    const summary = genotypes.map(genotype =>
+      `${genotype}: ${processedData.samples.filter(sample => standards[sample.name] === genotype).map(sample => sample.name).join(', ')}`
+    );
+    document.getElementById('standardsSummary').textContent = summary.length > 0
+      ? `Standards — ${summary.join(' · ')}${genotypes.length < 2 ? ' (mark standards of at least two genotypes to call samples)' : ''}`
+      : 'Select wells and mark them as standards of a genotype to call the other samples against them';
+  }
+
+  markStandards(genotype) {
+    const select = document.getElementById('standardSamples');
+    const names = Array.from(select.selectedOptions).map(option => option.value);
+    if (names.length === 0) {
+      showToast('No wells selected', 'Select the standard wells in the list first', 'error');
+      return;
+    }
+    this.dataProcessor.setStandards(names, genotype);
+    this.populateReferenceSamples();
+    this.runAnalysis();
+  }
+
+  // Wells to group by hand (with their current group) and the summary of each replicate group
+  populateReplicateGroups() {
+    const select = document.getElementById('replicateSamples');
+    const tbody = document.getElementById('replicateTableBody');
+    const processedData = this.dataProcessor.getProcessedData();
+    if (!select || !tbody || !processedData) return;
+
+    const { samples, replicateGroups = [] } = processedData;
+    const selected = new Set(Array.from(select.selectedOptions).map(option => option.value));
+    select.innerHTML = '';
+    samples.forEach(sample => {
+      const label = sample.replicateGroup ? `${sample.name} [${sample.replicateGroup}]` : sample.name;
+      select.appendChild(new Option(label, sample.name, false, selected.has(sample.name)));
+    });
+
+    tbody.innerHTML = '';
+    if (replicateGroups.length === 0) {
+      tbody.innerHTML = '<tr><td colspan="7" class="text-center">No replicate groups: repeat sample names or assign wells to a group</td></tr>';
+      return;
+    }
+
+    const names = indices => indices.map(idx => samples[idx].name).join(', ');
+    replicateGroups.forEach((group, groupIndex) => {
+      const excluded = group.members.filter(idx => !group.used.includes(idx));
+      const row = document.createElement('tr');
+      // Group and sample names are free text (file, sample sheet or typed in): set as text, never parsed as HTML
+      const cell = (text, title = '') => {
+        const td = row.insertCell();
+        td.textContent = text;
+        if (title) td.title = title;
+        return td;
+      };
+      cell(group.name);
+      cell(`${group.used.length} of ${group.members.length}${excluded.length > 0 ? ` (excluded: ${names(excluded)})` : ''}`, names(group.members));
+      cell(group.meanTm !== null ? formatNumber(group.meanTm, 2) : '-');
+      cell(group.sdTm !== null ? formatNumber(group.sdTm, 3) : '-');
+      cell(group.cvTm !== null ? formatNumber(group.cvTm, 2) : '-');
+      cell(names(group.flagged) || '-', group.flagged.map(idx => `${samples[idx].name}: ${samples[idx].replicateFlag}`).join('\n'));
+      const action = cell('');
+      if (group.flagged.length > 0) {
+        const button = document.createElement('button');
+        button.className = 'btn btn-sm btn-secondary';
+        button.dataset.excludeGroup = groupIndex;
+        button.textContent = 'Exclude';
+        action.appendChild(button);
+      }
+      tbody.appendChild(row);
+    });
+  }
+
+  assignReplicates(group) {
+    const select = document.getElementById('replicateSamples');
+    const names = Array.from(select.selectedOptions).map(option => option.value);
+    if (names.length === 0) {
+      showToast('No wells selected', 'Select the replicate wells in the list first', 'error');
+      return;
+    }
+    this.dataProcessor.setReplicateGroup(names, group);
+    this.runAnalysis();
+  }
+
+  // Excludes the flagged replicates of one group (by index), or of all groups
+  excludeFlagged(groupIndex = null) {
+    const processedData = this.dataProcessor.getProcessedData();
+    if (!processedData || !processedData.replicateGroups) return;
+
+    const groups = groupIndex !== null ? [processedData.replicateGroups[groupIndex]] : processedData.replicateGroups;
+    const names = groups.filter(Boolean).flatMap(group => group.flagged.map(idx => processedData.samples[idx].name));
+    if (names.length === 0) {
+      showToast('Nothing to exclude', 'No replicates are flagged', 'info');
+      return;
+    }
+    this.dataProcessor.setExcluded(names, true);
+    this.runAnalysis();
+    showToast('Replicates excluded', `${names.join(', ')} left out of the replicate statistics`, 'success');
   }
 
   populateDataTable(data) {
@@ -183,25 +633,70 @@ class HRMAnalyzer {
   runAnalysis() {
     const settings = {
       normalizationMode: document.getElementById('normalizationMode').value,
+      normalizationMethod: document.getElementById('normalizationMethod').value,
       smoothingWindow: parseInt(document.getElementById('smoothingWindow').value),
-      referenceSample: document.getElementById('referenceSample').value || null
+      derivativeMethod: document.getElementById('derivativeMethod').value,
+      sgOrder: parseInt(document.getElementById('sgOrder').value) || 2,
+      referenceSample: document.getElementById('referenceSample').value || null,
+      tmTolerance: parseFloat(document.getElementById('tmTolerance').value) || 0.5,
+      callConfidence: parseFloat(document.getElementById('callConfidence').value) || 0,
+      peakMinHeight: (parseFloat(document.getElementById('peakMinHeight').value) || 0) / 100,
+      peakMinProminence: (parseFloat(document.getElementById('peakMinProminence').value) || 0) / 100,
+      tmMethod: document.getElementById('tmMethod').value,
+      replicateTmTolerance: parseFloat(document.getElementById('replicateTmTolerance').value) || 0,
+      replicateCurveTolerance: parseFloat(document.getElementById('replicateCurveTolerance').value) || 0,
+      temperatureShift: document.getElementById('temperatureShift').checked,
+      excludeFailedFromClustering: document.getElementById('excludeFailedFromClustering').checked,
+      shiftThreshold: parseFloat(document.getElementById('shiftThreshold').value) || 0.05,
+      shiftStart: this.readOptionalNumber('shiftStart'),
+      shiftEnd: this.readOptionalNumber('shiftEnd'),
+      gridStart: this.readOptionalNumber('gridStart'),
+      gridEnd: this.readOptionalNumber('gridEnd'),
+      gridStep: this.readOptionalNumber('gridStep')
     };
 
-    const result = this.dataProcessor.analyze(settings);
-    
-    if (!result) {
-      showToast('Analysis failed', 'Could not process data', 'error');
-    }
+    // Runs in the background; the processor reports failures
+    this.dataProcessor.analyze(settings);
+  }
+
+  // Numeric input value, or null when left empty ("Auto")
+  readOptionalNumber(id) {
+    const input = document.getElementById(id);
+    const value = input ? parseFloat(input.value) : NaN;
+    return isNaN(value) ? null : value;
   }
 
   onAnalysisComplete(data) {
     console.log('Analysis complete:', data);
     
+    // Normalization windows on the raw chart (draggable in manual mode)
+    const manual = this.dataProcessor.settings.normalizationMode === 'manual';
+    this.chartManager.setMeltRegions(data.regions ? data.regions.temperatures : null, manual);
+    if (data.regions) this.syncRegionInputs(data.regions.temperatures);
+    
     // Create charts
     this.chartManager.createCharts(data);
+    this.renderColorLegend();
+    this.populateDerivativePreviewSamples(data.samples);
     
     // Populate sample list
     this.populateSampleList(data.samples);
+    this.populateStandardSamples();
+    this.populateReplicateGroups();
+    
+    // Compare with instrument Tm values where the file provides them
+    this.populateTmValidation(data.samples);
+    
+    // Automatic normalization without clear plateaus
+    const unclear = data.samples.filter(sample => sample.plateauWarning);
+    if (unclear.length > 0) {
+      showToast(
+        'Check normalization',
+        `${unclear.length} sample(s) have no clear pre- or post-melt plateau: ${unclear.slice(0, 5).map(s => s.name).join(', ')}` +
+        (unclear.length > 5 ? ', ...' : ''),
+        'warning'
+      );
+    }
     
     // Enable export button
     document.getElementById('exportBtn').disabled = false;
@@ -210,6 +705,242 @@ class HRMAnalyzer {
     this.switchTab('charts');
   }
 
+  // Live renormalization while a band is dragged: chart data and colors change in place, the sample list is redrawn
+  async onMeltRegionsChanged(regions) {
+    let data;
+    try {
+      data = await this.dataProcessor.setMeltRegions(regions);
+    } catch (error) {
+      showToast('Analysis error', error.message, 'error');
+      return;
+    }
+    if (!data) return;
+
+    this.syncRegionInputs(data.regions.temperatures);
+    this.chartManager.refreshAnalysisData(data);
+    // Tm, peaks, QC, clusters and calls all follow the new normalization
+    this.renderColorLegend();
+    this.populateSampleList(data.samples);
+    this.updateDerivativePreview();
+    this.populateReplicateGroups();
+    this.populateTmValidation(data.samples);
+  }
+
+  async applyRegionInputs() {
+    const [preStart, preEnd, postStart, postEnd] = ['preMeltStart', 'preMeltEnd', 'postMeltStart', 'postMeltEnd']
+      .map(id => this.readOptionalNumber(id));
+    if ([preStart, preEnd, postStart, postEnd].some(value => value === null)) return;
+    if (!(preStart < preEnd && postStart < postEnd)) {
+      showToast('Invalid region', 'Each region must start below the temperature it ends at', 'warning');
+      return;
+    }
+
+    // Out-of-range regions are reset by the processor; the bands show what was applied
+    await this.onMeltRegionsChanged({ pre: [preStart, preEnd], post: [postStart, postEnd] });
+    this.chartManager.setMeltRegions(this.dataProcessor.settings.meltRegions, true);
+  }
+
+  syncRegionInputs(regions) {
+    const values = [...regions.pre, ...regions.post];
+    ['preMeltStart', 'preMeltEnd', 'postMeltStart', 'postMeltEnd'].forEach((id, i) => {
+      const input = document.getElementById(id);
+      if (input) input.value = formatNumber(values[i], 2);
+    });
+  }
+
+  populateTmValidation(samples) {
+    const withInstrument = samples.filter(sample => sample.tmValidation);
+    const hasInstrumentDerivative = samples.some(sample => sample.instrumentDerivative);
+
+    document.getElementById('tmValidationTabBtn').classList.toggle('hidden', withInstrument.length === 0);
+    document.getElementById('instrumentDerivativeToggle').classList.toggle('hidden', !hasInstrumentDerivative);
+
+    const tbody = document.getElementById('tmValidationTableBody');
+    const summary = document.getElementById('tmValidationSummary');
+    if (!tbody || withInstrument.length === 0) return;
+
+    const tolerance = this.dataProcessor.settings.tmTolerance;
+    const agreeing = withInstrument.filter(sample => sample.tmValidation.agrees).length;
+    const meanAbsDev = withInstrument.reduce((sum, sample) => sum + Math.abs(sample.tmValidation.deviation), 0) / withInstrument.length;
+    summary.textContent = `${agreeing} of ${withInstrument.length} samples within ±${tolerance} °C of the instrument Tm ` +
+      `(mean |Δ| ${formatNumber(meanAbsDev, 2)} °C)`;
+
+    tbody.innerHTML = '';
+    withInstrument.forEach(sample => {
+      const { instrumentTm, deviation, agrees } = sample.tmValidation;
+      const row = document.createElement('tr');
+      // Sample names come from the file: set as text, never parsed as HTML
+      [
+        sample.name,
+        formatNumber(sample.tm, 2),
+        sample.instrumentTm.map(tm => formatNumber(tm, 2)).join(', '),
+        formatNumber(instrumentTm, 2),
+        `${deviation > 0 ? '+' : ''}${formatNumber(deviation, 2)}`
+      ].forEach(text => { row.insertCell().textContent = text; });
+      const badge = document.createElement('span');
+      badge.className = `badge ${agrees ? 'badge-success' : 'badge-warning'}`;
+      badge.textContent = agrees ? 'Agrees' : 'Differs';
+      row.insertCell().appendChild(badge);
+      tbody.appendChild(row);
+    });
+  }
+
+  runTemperatureQC(notify = false) {
+    if (!this.temperatureQC.hasData()) return;
+
+    const results = this.temperatureQC.analyze({
+      fullRampRate: parseFloat(document.getElementById('qcFullRampRate').value) || 1.6,
+      rampTolerance: parseFloat(document.getElementById('qcRampTolerance').value) || 25,
+      zoneThreshold: parseFloat(document.getElementById('qcZoneThreshold').value) || 0.5
+    });
+
+    this.chartManager.createTemperatureChart(this.temperatureQC.log, results);
+
+    const status = document.getElementById('runQCStatus');
+    const label = results.passed === null ? 'Not checked' : results.passed ? 'Passed' : 'Failed';
+    status.className = `badge ${results.passed === false ? 'badge-error' : results.passed ? 'badge-success' : 'badge-warning'}`;
+    status.textContent = label;
+
+    const findings = document.getElementById('runQCFindings');
+    findings.innerHTML = '';
+    const lines = results.flags.length > 0 ? [...results.flags] : [results.message];
+    if (results.ramp) {
+      lines.push(`Melt ramp: ${formatNumber(results.ramp.rate * 60, 3)} °C/min measured, ${formatNumber(results.ramp.expectedRate * 60, 3)} °C/min programmed`);
+    }
+    if (results.zoneSpread) {
+      lines.push(`Largest spread between ${results.zones.join('/')}: ${formatNumber(results.zoneSpread.max, 2)} °C`);
+    }
+    lines.forEach(line => {
+      const item = document.createElement('li');
+      item.textContent = line;
+      findings.appendChild(item);
+    });
+
+    document.getElementById('runQCTabBtn').classList.toggle('tab-warning', results.passed === false);
+    if (notify && results.passed === false) {
+      showToast('Block temperature QC failed', results.flags[0], 'warning');
+    }
+  }
+
+  runAmplificationAnalysis() {
+    if (!this.amplificationProcessor.hasData()) return;
+
+    const threshold = parseFloat(document.getElementById('ampThreshold').value);
+    this.amplificationProcessor.analyze({
+      baselineStart: parseInt(document.getElementById('ampBaselineStart').value) || 3,
+      baselineEnd: parseInt(document.getElementById('ampBaselineEnd').value) || 15,
+      threshold: isNaN(threshold) ? null : threshold
+    });
+  }
+
+  onAmplificationComplete(results) {
+    this.renderAmplificationChart();
+    this.populateAmplificationTable(results);
+    document.getElementById('exportBtn').disabled = false;
+  }
+
+  renderAmplificationChart() {
+    this.chartManager.createAmplificationChart(this.amplificationProcessor.getResults(), {
+      signal: document.getElementById('ampSignal').value,
+      scale: document.getElementById('ampScale').value
+    });
+  }
+
+  populateAmplificationTable(results) {
+    const tbody = document.getElementById('amplificationTableBody');
+    if (!tbody) return;
+
+    tbody.innerHTML = '';
+    results.wells.forEach(well => {
+      const row = document.createElement('tr');
+      [
+        well.well,
+        well.sampleName,
+        well.task,
+        well.cq !== null ? formatNumber(well.cq, 2) : 'Undetermined',
+        well.instrumentCt !== null ? formatNumber(well.instrumentCt, 2) : 'Undetermined',
+        well.deltaCt !== null ? formatNumber(well.deltaCt, 2) : '–'
+      ].forEach(value => {
+        const td = document.createElement('td');
+        td.textContent = value;
+        row.appendChild(td);
+      });
+      tbody.appendChild(row);
+    });
+  }
+
+  populateRunFilter(runs) {
+    const runFilter = document.getElementById('runFilter');
+    if (!runFilter) return;
+
+    this.runFilter = '';
+    runFilter.classList.toggle('hidden', !runs);
+    runFilter.innerHTML = '<option value="">All runs</option>';
+    (runs || []).forEach(run => {
+      runFilter.appendChild(new Option(`${run.label} (${run.sampleCount})`, run.label));
+    });
+  }
+
+  matchesRunFilter(sample) {
+    return !this.runFilter || sample.run === this.runFilter;
+  }
+
+  // Hide list entries of other runs; indices stay aligned with the processed samples
+  applyRunFilter() {
+    const processedData = this.dataProcessor.getProcessedData();
+    if (!processedData) return;
+
+    document.querySelectorAll('#sampleList .sample-item').forEach((item, idx) => {
+      const sample = processedData.samples[idx];
+      item.classList.toggle('hidden', !!sample && !this.matchesRunFilter(sample));
+    });
+  }
+
+  async loadSampleSheet(file) {
+    const processedData = this.dataProcessor.getProcessedData();
+    if (!processedData) {
+      showToast('No data', 'Load melt data before the sample sheet', 'error');
+      return;
+    }
+
+    try {
+      const sampleSheet = await new SampleSheet().parse(file);
+      const matched = this.dataProcessor.setSampleSheet(sampleSheet);
+      const total = processedData.samples.length;
+
+      const status = document.getElementById('sampleSheetStatus');
+      status.textContent = `Sample sheet ${file.name}: ${matched} of ${total} samples annotated`;
+      status.classList.remove('hidden');
+
+      if (matched === 0) {
+        showToast('Sample sheet', `No wells or sample names in ${file.name} match the loaded samples`, 'warning');
+      } else {
+        showToast('Sample sheet', `Annotated ${matched} of ${total} samples`, 'success');
+      }
+
+      this.refreshCharts();
+    } catch (error) {
+      showToast('Sample sheet error', error.message, 'error');
+    }
+  }
+
+  // Colors behind the chart lines when coloring by sample sheet group or genotype
+  renderColorLegend() {
+    const legend = document.getElementById('colorLegend');
+    if (!legend) return;
+
+    const groups = this.chartManager.getColorGroups();
+    legend.classList.toggle('hidden', groups.length === 0);
+    legend.innerHTML = '';
+    groups.forEach(({ label, color, count }) => {
+      const item = document.createElement('div');
+      item.className = 'color-legend-item';
+      item.innerHTML = `<div class="sample-color" style="background-color: ${color}"></div>`;
+      item.appendChild(document.createTextNode(`${label} (${count})`));
+      legend.appendChild(item);
+    });
+  }
+
   populateSampleList(samples) {
     const sampleList = document.getElementById('sampleList');
     if (!sampleList) return;
@@ -226,9 +957,45 @@ class HRMAnalyzer {
         <input type="checkbox" class="sample-checkbox" ${sample.visible ? 'checked' : ''} data-index="${idx}">
         <div class="sample-color" style="background-color: ${colors[idx]}"></div>
         <div class="sample-name">${sample.name}</div>
-        <div class="sample-tm">${sample.tm ? `Tm: ${formatNumber(sample.tm, 1)}°C` : ''}</div>
+        ${sample.detector ? `<div class="sample-meta">${sample.detector}</div>` : ''}
+        ${sample.sampleId || sample.group ? '<div class="sample-meta sample-sheet-meta"></div>' : ''}
+        ${sample.expectedGenotype ? '<span class="badge sample-genotype"></span>' : ''}
+        ${sample.task ? `<span class="badge sample-task task-${sample.task.toLowerCase()}">${sample.task}</span>` : ''}
+        ${sample.standardGenotype ? '<span class="badge sample-standard"></span>' : ''}
+        ${sample.genotypeCall ? `<span class="badge sample-call ${sample.genotypeCall === NO_CALL ? 'no-call' : ''}"></span>` : ''}
+        ${sample.cluster ? `<span class="badge sample-cluster ${sample.clusterConfidence === null || sample.cluster === UNCLASSIFIED ? 'unclassified' : ''}" title="${this.describeCluster(sample)}">${sample.cluster}</span>` : ''}
+        ${sample.replicateGroup ? `<span class="badge sample-replicate ${sample.replicateFlag ? 'flagged' : ''} ${sample.excluded ? 'excluded' : ''}"></span>` : ''}
+        ${sample.qc ? `<span class="badge sample-qc qc-${sample.qc.status}" title="${this.describeQC(sample)}">QC ${QC_STATUS[sample.qc.status]}</span>` : ''}
+        ${sample.plateauWarning ? `<span class="badge badge-warning" title="${sample.plateauWarning}; fixed 10% window used">⚠ Plateau</span>` : ''}
+        ${sample.peaks && sample.peaks.length > 1 ? `<div class="sample-meta">Peaks: ${sample.peaks.map(peak => formatNumber(peak.tm, 1)).join(', ')} °C</div>` : ''}
+        <div class="sample-tm" title="${this.describeTm(sample)}">${sample.tm ? `Tm: ${formatNumber(sample.tm, 1)}°C` : ''}${sample.temperatureShift ? ` · shift ${sample.temperatureShift > 0 ? '+' : ''}${formatNumber(sample.temperatureShift, 2)}°C` : ''}</div>
       `;
       
+      // Sample sheet values, genotype names (and replicate sets named there) are free text: set as text,
+      // never parsed as HTML
+      const sheetMeta = item.querySelector('.sample-sheet-meta');
+      if (sheetMeta) sheetMeta.textContent = [sample.sampleId, sample.group].filter(Boolean).join(' · ');
+      const genotype = item.querySelector('.sample-genotype');
+      if (genotype) genotype.textContent = sample.expectedGenotype;
+      const standard = item.querySelector('.sample-standard');
+      if (standard) {
+        standard.textContent = `Std ${sample.standardGenotype}`;
+        standard.title = `Standard for ${sample.standardGenotype}`;
+      }
+      const call = item.querySelector('.sample-call');
+      if (call) {
+        call.textContent = sample.genotypeCall;
+        call.title = this.describeCall(sample);
+      }
+      const replicate = item.querySelector('.sample-replicate');
+      if (replicate) {
+        replicate.textContent = `${sample.replicateFlag ? '⚠ ' : ''}Rep ${sample.replicateGroup}`;
+        replicate.title = this.describeReplicate(sample);
+      }
+
+      const notes = [sample.replicateSet && `Replicate set: ${sample.replicateSet}`, sample.notes].filter(Boolean);
+      if (notes.length > 0) item.title = notes.join('\n');
+      
       // Toggle visibility on click
       const checkbox = item.querySelector('.sample-checkbox');
       checkbox.addEventListener('change', (e) => {
@@ -244,6 +1011,96 @@ class HRMAnalyzer {
       
       sampleList.appendChild(item);
     });
+
+    this.applyRunFilter();
+  }
+
+  // Sample choice for the derivative method preview, kept across analyses
+  populateDerivativePreviewSamples(samples) {
+    const select = document.getElementById('derivativePreviewSample');
+    if (!select) return;
+
+    const current = select.value;
+    select.innerHTML = '';
+    samples.forEach((sample, idx) => select.appendChild(new Option(sample.name, idx)));
+    if (current && current < samples.length) select.value = current;
+    this.updateDerivativePreview();
+  }
+
+  updateDerivativePreview() {
+    const select = document.getElementById('derivativePreviewSample');
+    const tbody = document.getElementById('derivativePreviewTableBody');
+    if (!select || !tbody) return;
+
+    const preview = this.dataProcessor.derivativePreview(parseInt(select.value));
+    this.chartManager.createDerivativePreviewChart(preview);
+    tbody.innerHTML = '';
+    if (!preview) return;
+
+    preview.methods.forEach(({ method, label, tm, peak, peakCount }) => {
+      const row = document.createElement('tr');
+      row.classList.toggle('current-method', method === preview.current);
+      row.innerHTML = `
+        <td>${label}${method === preview.current ? ' (selected)' : ''}</td>
+        <td>${tm ? formatNumber(tm, 2) : '-'}</td>
+        <td>${peak ? formatNumber(peak.height, 4) : '-'}</td>
+        <td>${peak ? formatNumber(peak.fwhm, 2) : '-'}</td>
+        <td>${peakCount}</td>
+      `;
+      tbody.appendChild(row);
+    });
+  }
+
+  describeTm(sample) {
+    if (!sample.tmFit) return '';
+    const fit = sample.tmFit.fallback
+      ? 'fit failed; discrete maximum used'
+      : TM_METHODS[sample.tmFit.method] +
+        (sample.tmFit.rSquared !== null ? `, R² ${formatNumber(sample.tmFit.rSquared, 3)}` : '');
+    const peaks = this.describePeaks(sample);
+    return `Tm ${formatNumber(sample.tm, 2)} °C (${fit})` + (peaks ? `\n${peaks}` : '');
+  }
+
+  describePeaks(sample) {
+    if (!sample.peaks || sample.peaks.length === 0) return '';
+    return sample.peaks
+      .map(peak => `${formatNumber(peak.tm, 2)} °C: height ${formatNumber(peak.height, 3)}, FWHM ${formatNumber(peak.fwhm, 2)} °C, area ${formatNumber(peak.area, 3)}`)
+      .join('\n');
+  }
+
+  describeCall(sample) {
+    if (!sample.callDistances) return 'No clear melt, or standards of fewer than two genotypes';
+    const distances = Object.entries(sample.callDistances)
+      .map(([genotype, distance]) => `${genotype} ${formatNumber(distance, 4)}`)
+      .join(', ');
+    return `Confidence ${formatNumber(sample.callConfidence, 2)}; distance to ${distances}`;
+  }
+
+  describeReplicate(sample) {
+    if (sample.excluded) return `Excluded from replicate group ${sample.replicateGroup}`;
+    if (sample.replicateFlag) return `Deviates from its replicates: ${sample.replicateFlag}`;
+    if (!sample.replicateDeviation) return `Replicate group ${sample.replicateGroup} (no clear melt)`;
+    const { tm, curve } = sample.replicateDeviation;
+    return `Within tolerance of its replicates: Tm ${tm > 0 ? '+' : ''}${formatNumber(tm, 2)} °C, curve RMS difference ${formatNumber(curve, 3)}`;
+  }
+
+  describeQC(sample) {
+    if (sample.qc.flags.length === 0) return 'All well QC checks passed';
+    return sample.qc.flags.map(flag => `${QC_STATUS[flag.severity]}: ${flag.message}`).join('\n');
+  }
+
+  describeCluster(sample) {
+    if (sample.clusterConfidence === null) return 'Not clustered (NTC, no clear melt or failed QC)';
+    return `Confidence ${formatNumber(sample.clusterConfidence, 2)}, distance to cluster centroid ${formatNumber(sample.clusterDistance, 3)}`;
+  }
+
+  refreshCharts() {
+    const processedData = this.dataProcessor.getProcessedData();
+    if (!processedData || !processedData.samples.some(sample => sample.normalized)) return;
+
+    this.chartManager.createCharts(processedData);
+    this.renderColorLegend();
+    this.populateSampleList(processedData.samples);
   }
 
   onSampleVisibilityChanged(data) {
@@ -276,7 +1133,7 @@ class HRMAnalyzer {
   showHelp() {
     showToast(
       'HRM Analyzer Help',
-      'Upload CSV files with temperature in first column and fluorescence values in subsequent columns. The app will automatically normalize, calculate derivatives, and generate melt curves.',
+      'Upload CSV files with temperature in first column and fluorescence values in subsequent columns; other table layouts open the import wizard to map their columns. The app will automatically normalize, calculate derivatives, and generate melt curves.',
       'info'
     );
   }
@@ -1,5 +1,60 @@
 // Chart Manager Module
 import { generateColors, formatNumber } from './utils.js';
+import { UNCLASSIFIED } from './genotypeClustering.js';
+
+// Charts that plot one dataset per melt sample
+const MELT_CHARTS = ['raw', 'normalized', 'derivative', 'difference'];
+
+// Color modes that give every value of a sample field one color, and the legend label for samples without one
+const GROUP_FIELDS = {
+  group: { field: 'group', unassigned: 'Not in sample sheet' },
+  genotype: { field: 'expectedGenotype', unassigned: 'Not in sample sheet' },
+  cluster: { field: 'cluster', unassigned: UNCLASSIFIED },
+  replicate: { field: 'replicateGroup', unassigned: 'No replicates' }
+};
+const UNASSIGNED_COLOR = 'hsl(210, 10%, 55%)';
+
+// Pre/post-melt normalization windows drawn as shaded bands behind the raw curves
+const MELT_REGION_STYLES = {
+  pre: { label: 'Pre-melt', fill: 'hsla(210, 90%, 50%, 0.12)', edge: 'hsl(210, 90%, 60%)' },
+  post: { label: 'Post-melt', fill: 'hsla(30, 90%, 50%, 0.12)', edge: 'hsl(30, 90%, 60%)' }
+};
+// Pointer distance (px) at which a band edge can be grabbed
+const EDGE_GRAB_DISTANCE = 6;
+
+const meltRegionPlugin = {
+  id: 'meltRegions',
+  beforeDatasetsDraw(chart, args, options) {
+    if (!options.regions) return;
+
+    const { ctx, chartArea, scales } = chart;
+    ctx.save();
+    Object.entries(options.regions).forEach(([key, [start, end]]) => {
+      const style = MELT_REGION_STYLES[key];
+      const left = scales.x.getPixelForValue(start);
+      const right = scales.x.getPixelForValue(end);
+
+      ctx.fillStyle = style.fill;
+      ctx.fillRect(left, chartArea.top, right - left, chartArea.bottom - chartArea.top);
+
+      if (options.editable) {
+        ctx.strokeStyle = style.edge;
+        ctx.lineWidth = 2;
+        [left, right].forEach(x => {
+          ctx.beginPath();
+          ctx.moveTo(x, chartArea.top);
+          ctx.lineTo(x, chartArea.bottom);
+          ctx.stroke();
+        });
+      }
+
+      ctx.fillStyle = style.edge;
+      ctx.font = "11px 'Inter', sans-serif";
+      ctx.fillText(style.label, left + 4, chartArea.top + 14);
+    });
+    ctx.restore();
+  }
+};
 
 export class ChartManager {
   constructor() {
@@ -7,9 +62,20 @@ export class ChartManager {
       raw: null,
       normalized: null,
       derivative: null,
-      difference: null
+      difference: null,
+      amplification: null,
+      temperature: null,
+      derivativePreview: null
     };
     this.colors = [];
+    this.colorGroups = [];
+    this.colorBy = 'sample';
+    this.showInstrumentDerivative = false;
+    this.showReplicateMeans = false;
+    this.replicateGroups = [];
+    this.meltRegions = null;
+    this.meltRegionsEditable = false;
+    this.regionDrag = null;
     this.setupChartDefaults();
   }
 
@@ -26,10 +92,11 @@ export class ChartManager {
     if (!data) return;
 
     const { temperatures, samples } = data;
-    this.colors = generateColors(samples.length);
+    this.colors = this.getSampleColors(samples);
+    this.replicateGroups = data.replicateGroups || [];
 
     // Destroy existing charts
-    this.destroyCharts();
+    this.destroyCharts(MELT_CHARTS);
 
     // Create all charts
     this.createRawChart(temperatures, samples);
@@ -54,14 +121,20 @@ export class ChartManager {
       tension: 0.1
     }));
 
+    const options = this.getChartOptions('Fluorescence', 'Temperature (°C)', 'Fluorescence (RFU)');
+    options.plugins.meltRegions = { regions: this.meltRegions, editable: this.meltRegionsEditable };
+
     this.charts.raw = new Chart(ctx, {
       type: 'line',
       data: {
         labels: temperatures,
         datasets: datasets
       },
-      options: this.getChartOptions('Fluorescence', 'Temperature (°C)', 'Fluorescence (RFU)')
+      options,
+      plugins: [meltRegionPlugin]
     });
+
+    this.setupRegionDragging(ctx);
   }
 
   createNormalizedChart(temperatures, samples) {
@@ -81,6 +154,7 @@ export class ChartManager {
         hidden: !sample.visible,
         tension: 0.1
       }));
+    datasets.push(...this.replicateMeanDatasets('normalized'));
 
     this.charts.normalized = new Chart(ctx, {
       type: 'line',
@@ -110,13 +184,113 @@ export class ChartManager {
         tension: 0.1
       }));
 
+    datasets.push(...this.replicateMeanDatasets('derivative'));
+    const options = this.getChartOptions('Derivative', 'Temperature (°C)', '-dF/dT');
+
+    // Detected melt peaks as markers on each curve (left out of the index-mode tooltips)
+    options.plugins.tooltip.filter = item => !item.dataset.peakMarkers;
+    samples.forEach((sample, idx) => {
+      if (!sample.peaks || !sample.derivative) return;
+      datasets.push({
+        label: `${sample.name} peaks`,
+        data: peakPoints(sample),
+        type: 'scatter',
+        borderColor: this.colors[idx],
+        backgroundColor: this.colors[idx],
+        pointStyle: 'triangle',
+        pointRadius: 5,
+        pointHoverRadius: 7,
+        hidden: !sample.visible,
+        sampleIndex: idx,
+        peakMarkers: true
+      });
+    });
+
+    // Instrument's own derivative curves, dashed on a secondary axis (raw instrument units)
+    if (this.showInstrumentDerivative) {
+      samples.forEach((sample, idx) => {
+        if (!sample.instrumentDerivative) return;
+        const { temperatures: instTemps, values } = sample.instrumentDerivative;
+
+        datasets.push({
+          label: `${sample.name} (instrument)`,
+          data: instTemps.map((t, i) => ({ x: t, y: values[i] })),
+          borderColor: this.colors[idx],
+          borderWidth: 1,
+          borderDash: [5, 4],
+          pointRadius: 0,
+          hidden: !sample.visible,
+          yAxisID: 'yInstrument',
+          sampleIndex: idx
+        });
+      });
+
+      if (datasets.some(dataset => dataset.yAxisID === 'yInstrument')) {
+        options.scales.yInstrument = {
+          ...options.scales.y,
+          position: 'right',
+          title: { ...options.scales.y.title, text: 'Instrument derivative' },
+          grid: { drawOnChartArea: false }
+        };
+      }
+    }
+
     this.charts.derivative = new Chart(ctx, {
       type: 'line',
       data: {
         labels: temperatures,
         datasets: datasets
       },
-      options: this.getChartOptions('Derivative', 'Temperature (°C)', '-dF/dT')
+      options
+    });
+  }
+
+  // One sample's -dF/dT by each derivative method, the selected one drawn thicker, the unsmoothed one dashed
+  createDerivativePreviewChart(preview) {
+    const ctx = document.getElementById('derivativePreviewChart');
+    if (!ctx) return;
+
+    this.destroyCharts(['derivativePreview']);
+    if (!preview) return;
+
+    const colors = generateColors(preview.methods.length);
+    const datasets = preview.methods.map(({ method, label, derivative, tm }, idx) => ({
+      label: `${label}${tm ? ` (Tm: ${formatNumber(tm, 2)}°C)` : ''}`,
+      data: derivative,
+      borderColor: method === 'none' ? UNASSIGNED_COLOR : colors[idx],
+      borderWidth: method === preview.current ? 3 : 1.5,
+      borderDash: method === 'none' ? [4, 3] : [],
+      pointRadius: 0,
+      pointHoverRadius: 4,
+      tension: 0.1
+    }));
+
+    // Main peak of each method
+    const options = this.getChartOptions('Derivative Preview', 'Temperature (°C)', '-dF/dT');
+    options.plugins.legend.display = true;
+    options.plugins.legend.labels = { filter: item => !item.text.endsWith(' peak') };
+    options.plugins.tooltip.filter = item => !item.dataset.peakMarkers;
+    preview.methods.forEach(({ method, label, peak }, idx) => {
+      if (!peak) return;
+      datasets.push({
+        label: `${label} peak`,
+        data: [{ x: peak.tm, y: peak.height }],
+        type: 'scatter',
+        borderColor: method === 'none' ? UNASSIGNED_COLOR : colors[idx],
+        backgroundColor: method === 'none' ? UNASSIGNED_COLOR : colors[idx],
+        pointStyle: 'triangle',
+        pointRadius: 6,
+        peakMarkers: true
+      });
+    });
+
+    this.charts.derivativePreview = new Chart(ctx, {
+      type: 'line',
+      data: {
+        labels: preview.temperatures,
+        datasets
+      },
+      options
     });
   }
 
@@ -137,6 +311,7 @@ export class ChartManager {
         hidden: !sample.visible,
         tension: 0.1
       }));
+    datasets.push(...this.replicateMeanDatasets('difference'));
 
     if (datasets.length === 0) {
       // Show empty state
@@ -153,6 +328,96 @@ export class ChartManager {
     });
   }
 
+  createAmplificationChart(results, options = {}) {
+    const ctx = document.getElementById('amplificationChart');
+    if (!ctx || !results) return;
+
+    const { scale = 'linear', signal = 'deltaRn' } = options;
+    const { cycles, wells, threshold } = results;
+    const colors = generateColors(wells.length);
+
+    this.destroyCharts(['amplification']);
+
+    const datasets = wells.map((well, idx) => ({
+      label: `${well.well} ${well.sampleName}`.trim(),
+      data: cycles.map((cycle, i) => ({ x: cycle, y: signal === 'rn' ? well.rn[i] : well.deltaRn[i] })),
+      borderColor: well.plateColor && this.colorBy === 'plate' ? well.plateColor : colors[idx],
+      borderWidth: 2,
+      pointRadius: 0,
+      pointHoverRadius: 4,
+      tension: 0.1
+    }));
+
+    if (signal === 'deltaRn') {
+      datasets.push({
+        label: 'Threshold',
+        data: [{ x: cycles[0], y: threshold }, { x: cycles[cycles.length - 1], y: threshold }],
+        borderColor: 'hsl(0, 80%, 60%)',
+        borderWidth: 1,
+        borderDash: [6, 4],
+        pointRadius: 0
+      });
+    }
+
+    const chartOptions = this.getChartOptions('Amplification', 'Cycle', signal === 'rn' ? 'Rn' : 'ΔRn');
+    chartOptions.scales.y.type = scale === 'log' ? 'logarithmic' : 'linear';
+
+    this.charts.amplification = new Chart(ctx, {
+      type: 'line',
+      data: { datasets },
+      options: chartOptions
+    });
+  }
+
+  createTemperatureChart(log, results) {
+    const ctx = document.getElementById('temperatureChart');
+    if (!ctx || !log || !results) return;
+
+    const { time, columns, series } = log;
+    const { window, ramp } = results;
+    const colors = generateColors(columns.length);
+    const t0 = time[window.start];
+
+    this.destroyCharts(['temperature']);
+
+    const datasets = columns.map((name, idx) => ({
+      label: name,
+      data: time.slice(window.start, window.end + 1).map((t, i) => ({ x: t - t0, y: series[name][window.start + i] })),
+      borderColor: colors[idx],
+      borderWidth: 2,
+      pointRadius: 0,
+      pointHoverRadius: 4,
+      tension: 0
+    }));
+
+    // Programmed ramp, started where the recorded ramp starts
+    if (ramp) {
+      const start = time[ramp.start];
+      const end = time[ramp.end];
+      const startTemp = ramp.rate * start + ramp.intercept;
+      datasets.push({
+        label: 'Programmed ramp',
+        data: [
+          { x: start - t0, y: startTemp },
+          { x: end - t0, y: startTemp + ramp.expectedRate * (end - start) }
+        ],
+        borderColor: 'hsl(0, 80%, 60%)',
+        borderWidth: 1,
+        borderDash: [6, 4],
+        pointRadius: 0
+      });
+    }
+
+    const chartOptions = this.getChartOptions('Recorded Temperatures', 'Time (s)', 'Temperature (°C)');
+    chartOptions.plugins.legend.display = true;
+
+    this.charts.temperature = new Chart(ctx, {
+      type: 'line',
+      data: { datasets },
+      options: chartOptions
+    });
+  }
+
   getChartOptions(title, xLabel, yLabel) {
     return {
       responsive: true,
@@ -228,19 +493,167 @@ export class ChartManager {
     };
   }
 
+  // { pre: [start, end], post: [start, end] } in °C; editable in manual normalization mode
+  setMeltRegions(regions, editable) {
+    this.meltRegions = regions ? { pre: [...regions.pre], post: [...regions.post] } : null;
+    this.meltRegionsEditable = !!regions && editable;
+
+    const chart = this.charts.raw;
+    if (chart) {
+      chart.options.plugins.meltRegions = { regions: this.meltRegions, editable: this.meltRegionsEditable };
+      chart.update('none');
+    }
+  }
+
+  // Band edges are dragged to resize, band interiors to move; listeners are bound once per canvas
+  setupRegionDragging(canvas) {
+    if (this.regionDragCanvas === canvas) return;
+    this.regionDragCanvas = canvas;
+
+    const toTemperature = (e) => this.charts.raw.scales.x.getValueForPixel(e.offsetX);
+    const hitTest = (e) => {
+      const chart = this.charts.raw;
+      if (!chart || !this.meltRegionsEditable || !this.meltRegions) return null;
+
+      const { chartArea, scales } = chart;
+      if (e.offsetY < chartArea.top || e.offsetY > chartArea.bottom) return null;
+
+      for (const key of ['pre', 'post']) {
+        const [start, end] = this.meltRegions[key].map(t => scales.x.getPixelForValue(t));
+        if (Math.abs(e.offsetX - start) <= EDGE_GRAB_DISTANCE) return { key, edge: 0 };
+        if (Math.abs(e.offsetX - end) <= EDGE_GRAB_DISTANCE) return { key, edge: 1 };
+        if (e.offsetX > start && e.offsetX < end) return { key, edge: null };
+      }
+      return null;
+    };
+
+    canvas.addEventListener('pointerdown', (e) => {
+      const hit = hitTest(e);
+      if (!hit) return;
+
+      this.regionDrag = { ...hit, from: toTemperature(e), original: [...this.meltRegions[hit.key]] };
+      canvas.setPointerCapture(e.pointerId);
+      e.preventDefault();
+    });
+
+    canvas.addEventListener('pointermove', (e) => {
+      if (!this.regionDrag) {
+        const hit = hitTest(e);
+        canvas.style.cursor = hit ? (hit.edge === null ? 'grab' : 'ew-resize') : '';
+        return;
+      }
+      this.dragRegion(toTemperature(e));
+    });
+
+    const endDrag = (e) => {
+      if (!this.regionDrag) return;
+      this.regionDrag = null;
+      if (canvas.hasPointerCapture(e.pointerId)) canvas.releasePointerCapture(e.pointerId);
+      this.emitMeltRegions();
+    };
+    canvas.addEventListener('pointerup', endDrag);
+    canvas.addEventListener('pointercancel', endDrag);
+  }
+
+  // Moves the dragged edge or band, keeping bands inside the data and the pre-melt band below the post-melt band
+  dragRegion(temperature) {
+    const { key, edge, from, original } = this.regionDrag;
+    const temperatures = this.charts.raw.data.labels;
+    const min = temperatures[0];
+    const max = temperatures[temperatures.length - 1];
+    const lower = key === 'pre' ? min : this.meltRegions.pre[1];
+    const upper = key === 'pre' ? this.meltRegions.post[0] : max;
+    const minWidth = (max - min) / 200;
+
+    let [start, end] = original;
+    if (edge === null) {
+      const shift = Math.min(Math.max(temperature - from, lower - start), upper - end);
+      start += shift;
+      end += shift;
+    } else if (edge === 0) {
+      start = Math.min(Math.max(temperature, lower), end - minWidth);
+    } else {
+      end = Math.max(Math.min(temperature, upper), start + minWidth);
+    }
+
+    this.meltRegions[key] = [start, end];
+    this.charts.raw.update('none');
+
+    // Renormalize at most once per frame while dragging
+    if (!this.regionFrame) {
+      this.regionFrame = requestAnimationFrame(() => {
+        this.regionFrame = null;
+        this.emitMeltRegions();
+      });
+    }
+  }
+
+  emitMeltRegions() {
+    window.dispatchEvent(new CustomEvent('meltRegionsChanged', {
+      detail: { pre: [...this.meltRegions.pre], post: [...this.meltRegions.post] }
+    }));
+  }
+
+  // New normalized/derivative/difference values without rebuilding the charts (live renormalization);
+  // clusters and calls can change with them, so every curve is recolored too
+  refreshAnalysisData(data) {
+    const { samples } = data;
+    this.colors = this.getSampleColors(samples);
+    this.replicateGroups = data.replicateGroups || [];
+
+    MELT_CHARTS.forEach(key => {
+      const chart = this.charts[key];
+      if (!chart) return;
+
+      chart.data.datasets.forEach((dataset, idx) => {
+        if (dataset.replicateMean) {
+          const group = this.replicateGroups[dataset.groupIndex];
+          if (!group) return;
+          dataset.borderColor = this.colors[group.members[0]];
+          if (group[key]) dataset.data = group[key];
+          return;
+        }
+        if (dataset.peakMarkers) {
+          const sample = samples[dataset.sampleIndex];
+          dataset.borderColor = this.colors[dataset.sampleIndex];
+          dataset.backgroundColor = this.colors[dataset.sampleIndex];
+          if (sample && sample.peaks) dataset.data = peakPoints(sample);
+          return;
+        }
+        if (dataset.sampleIndex !== undefined) {
+          // Instrument overlays keep their data
+          dataset.borderColor = this.colors[dataset.sampleIndex];
+          return;
+        }
+        const sample = samples[idx];
+        if (!sample) return;
+        dataset.borderColor = this.colors[idx];
+        dataset.backgroundColor = this.colors[idx] + '20';
+        if (key === 'raw' || !sample[key]) return;
+        dataset.data = sample[key];
+        if (key === 'derivative') {
+          dataset.label = `${sample.name} (Tm: ${formatNumber(sample.tm, 1)}°C)`;
+        }
+      });
+      chart.update('none');
+    });
+  }
+
   updateCharts(data) {
     if (!data) return;
 
     const { temperatures, samples } = data;
 
     // Update each chart
-    Object.keys(this.charts).forEach(chartKey => {
+    MELT_CHARTS.forEach(chartKey => {
       const chart = this.charts[chartKey];
       if (!chart) return;
 
       chart.data.datasets.forEach((dataset, idx) => {
-        if (samples[idx]) {
-          dataset.hidden = !samples[idx].visible;
+        if (dataset.replicateMean) return;
+        const sample = samples[dataset.sampleIndex !== undefined ? dataset.sampleIndex : idx];
+        if (sample) {
+          dataset.hidden = !sample.visible;
         }
       });
 
@@ -248,8 +661,8 @@ export class ChartManager {
     });
   }
 
-  destroyCharts() {
-    Object.keys(this.charts).forEach(key => {
+  destroyCharts(keys = Object.keys(this.charts)) {
+    keys.forEach(key => {
       if (this.charts[key]) {
         this.charts[key].destroy();
         this.charts[key] = null;
@@ -257,18 +670,118 @@ export class ChartManager {
     });
   }
 
-  exportChart(chartName) {
+  exportChart(chartName, caption = '') {
     const chart = this.charts[chartName];
     if (!chart) return;
 
-    const url = chart.toBase64Image();
+    const url = caption ? this.addCaption(chart.canvas, caption) : chart.toBase64Image();
     const link = document.createElement('a');
     link.download = `hrm_${chartName}_chart.png`;
     link.href = url;
     link.click();
   }
 
+  // Copy of the chart canvas with a run-info footer line
+  addCaption(canvas, caption) {
+    const footer = 28;
+    const output = document.createElement('canvas');
+    output.width = canvas.width;
+    output.height = canvas.height + footer;
+
+    const ctx = output.getContext('2d');
+    ctx.fillStyle = 'hsl(210, 25%, 12%)';
+    ctx.fillRect(0, 0, output.width, output.height);
+    ctx.drawImage(canvas, 0, 0);
+    ctx.fillStyle = 'hsl(210, 15%, 75%)';
+    ctx.font = "12px 'Inter', sans-serif";
+    ctx.fillText(caption, 10, canvas.height + 18);
+
+    return output.toDataURL('image/png');
+  }
+
   getColors() {
     return this.colors;
   }
+
+  setColorBy(mode) {
+    this.colorBy = mode;
+  }
+
+  setShowInstrumentDerivative(show) {
+    this.showInstrumentDerivative = show;
+  }
+
+  setShowReplicateMeans(show) {
+    this.showReplicateMeans = show;
+  }
+
+  // Mean curve of each replicate group, thick and dashed in the color of its first replicate
+  replicateMeanDatasets(key) {
+    if (!this.showReplicateMeans) return [];
+    return this.replicateGroups
+      .map((group, groupIndex) => ({ group, groupIndex }))
+      .filter(({ group }) => group[key])
+      .map(({ group, groupIndex }) => ({
+        label: `${group.name} mean` + (key === 'derivative' && group.meanTm !== null ? ` (Tm: ${formatNumber(group.meanTm, 1)}°C)` : ''),
+        data: group[key],
+        borderColor: this.colors[group.members[0]],
+        borderWidth: 4,
+        borderDash: [8, 4],
+        pointRadius: 0,
+        pointHoverRadius: 4,
+        tension: 0.1,
+        replicateMean: true,
+        groupIndex
+      }));
+  }
+
+  // [{ label, color, count }] behind the current colors, when coloring by group or genotype
+  getColorGroups() {
+    return this.colorGroups;
+  }
+
+  getSampleColors(samples) {
+    const palette = generateColors(samples.length);
+    this.colorGroups = [];
+
+    const grouping = GROUP_FIELDS[this.colorBy];
+    if (grouping) {
+      // Groups in order of first appearance; samples without a value (or unclassified) in gray
+      const field = grouping.field;
+      const isAssigned = value => Boolean(value) && value !== grouping.unassigned;
+      const labels = [...new Set(samples.map(sample => sample[field]).filter(isAssigned))];
+      const groupColors = generateColors(labels.length);
+      this.colorGroups = labels.map((label, i) => ({
+        label,
+        color: groupColors[i],
+        count: samples.filter(sample => sample[field] === label).length
+      }));
+
+      const unassigned = samples.filter(sample => !isAssigned(sample[field])).length;
+      if (unassigned > 0) {
+        this.colorGroups.push({ label: grouping.unassigned, color: UNASSIGNED_COLOR, count: unassigned });
+      }
+      return samples.map(sample => (isAssigned(sample[field]) ? groupColors[labels.indexOf(sample[field])] : UNASSIGNED_COLOR));
+    }
+
+    if (this.colorBy === 'run') {
+      // One color per run of a merged experiment
+      const runCount = Math.max(0, ...samples.map(sample => sample.runIndex || 0)) + 1;
+      const runColors = generateColors(runCount);
+      return samples.map((sample, idx) => (sample.runIndex !== undefined ? runColors[sample.runIndex] : palette[idx]));
+    }
+
+    if (this.colorBy === 'plate') {
+      // Colors assigned in the instrument plate setup, palette for wells without one
+      return samples.map((sample, idx) => sample.plateColor || palette[idx]);
+    }
+
+    return palette;
+  }
+}
+
+// Marker positions of a sample's derivative peaks; temperature-shifted curves carry their peaks along
+function peakPoints(sample) {
+  const shift = sample.temperatureShift || 0;
+  return sample.peaks.map(peak => ({ x: peak.tm + shift, y: peak.height }));
 }
@@ -1,13 +1,81 @@
 // Data Processor Module
 import {
   normalizeArray,
+  normalizeLinearBaseline,
+  normalizeExponentialBackground,
   detectMeltRegions,
+  findThresholdCrossing,
+  shiftCurve,
   calculateDerivative,
   movingAverage,
+  savitzkyGolay,
+  smoothingSpline,
   findTm,
+  findPeaks,
+  fitPeakTm,
+  fitLogisticTm,
+  median,
+  formatNumber,
+  toSortedSeries,
+  buildGrid,
+  interpolateLinear,
+  columnSeries,
   showToast,
-  showLoading
+  showProgress
 } from './utils.js';
+import { SAMPLE_SHEET_FIELDS } from './sampleSheet.js';
+import { GenotypeClustering, centroid } from './genotypeClustering.js';
+import { GenotypeCaller } from './genotypeCaller.js';
+import { ReplicateGrouper } from './replicateGroups.js';
+import { WellQC, QC_STATUS } from './wellQC.js';
+
+// Upper bound on resampled grid size (keeps charts and analysis responsive)
+const MAX_GRID_POINTS = 5000;
+
+// Normalization methods applied within the pre/post-melt regions
+const NORMALIZATION_METHODS = {
+  minmax: { label: 'Min/max scaling', normalize: null },
+  linear: { label: 'Linear baseline', normalize: normalizeLinearBaseline },
+  exponential: { label: 'Exponential background', normalize: normalizeExponentialBackground }
+};
+
+// Smoothing and differentiation of normalized curves; each gives dF/dT. The smoothing window is the
+// number of points for the moving average and Savitzky-Golay, and sets the spline's smoothing scale.
+export const DERIVATIVE_METHODS = {
+  movingAverage: {
+    label: 'Moving average',
+    derivative: (temperatures, values, { smoothingWindow }) =>
+      calculateDerivative(temperatures, movingAverage(values, smoothingWindow))
+  },
+  savitzkyGolay: {
+    label: 'Savitzky-Golay',
+    derivative: (temperatures, values, { smoothingWindow, sgOrder }) =>
+      savitzkyGolay(temperatures, values, smoothingWindow, sgOrder, 1)
+  },
+  spline: {
+    label: 'Smoothing spline',
+    derivative: (temperatures, values, { smoothingWindow }) =>
+      smoothingSpline(temperatures, values, splineBandwidth(temperatures, smoothingWindow)).derivative
+  }
+};
+
+// Ways to place Tm; the fits give sub-step precision, 'discrete' is the grid point of the maximum
+export const TM_METHODS = {
+  discrete: 'Discrete maximum',
+  quadratic: 'Quadratic peak fit',
+  gaussian: 'Gaussian peak fit',
+  logistic: 'Logistic melt curve fit'
+};
+
+// referenceSample value that compares against the mean of a genotype's standards
+export const STANDARD_REFERENCE_PREFIX = 'standard:';
+
+// Steps of computeAnalysis, reported as progress
+const ANALYSIS_STEPS = ['Melt regions', 'Normalization', 'Temperature shift', 'Derivatives and Tm', 'Difference curves',
+  'Well QC', 'Clustering', 'Genotype calls', 'Replicate groups'];
+
+// Processing log steps rewritten on every analysis
+const ANALYSIS_LOG_STEPS = ['Normalization', 'Normalization Method', 'Temperature Shift', 'Derivative', 'Tm', 'Peak Detection', 'Well QC', 'Clustering', 'Genotype Calls', 'Replicate Groups'];
 
 export class DataProcessor {
   constructor() {
@@ -15,12 +83,64 @@ export class DataProcessor {
     this.processedData = null;
     this.settings = {
       normalizationMode: 'auto',
+      // 'minmax', 'linear' or 'exponential'
+      normalizationMethod: 'minmax',
       smoothingWindow: 5,
-      referenceSample: null
+      // 'movingAverage', 'savitzkyGolay' or 'spline'
+      derivativeMethod: 'movingAverage',
+      // Savitzky-Golay polynomial order
+      sgOrder: 2,
+      // 'discrete', 'quadratic', 'gaussian' or 'logistic'
+      tmMethod: 'quadratic',
+      referenceSample: null,
+      tmTolerance: 0.5,
+      // Common temperature grid (null = automatic)
+      gridStart: null,
+      gridEnd: null,
+      gridStep: null,
+      // Manual normalization windows, { pre: [start, end], post: [start, end] } in °C
+      meltRegions: null,
+      // Temperature shift: align normalized curves where they fall through shiftThreshold,
+      // looking between shiftStart and shiftEnd (°C, null = whole curve)
+      temperatureShift: false,
+      shiftThreshold: 0.05,
+      shiftStart: null,
+      shiftEnd: null,
+      // Genotype standards, sample name -> genotype; calls below callConfidence are "No call"
+      standards: {},
+      callConfidence: 0.5,
+      // Derivative peaks: minimum height and prominence as fractions of the tallest peak
+      peakMinHeight: 0.5,
+      peakMinProminence: 0.1,
+      // Replicate groups assigned by hand, sample name -> group (others group by sample name);
+      // replicates deviating by more than the tolerances are flagged, excluded ones left out of the statistics
+      replicateGroups: {},
+      replicateTmTolerance: 0.3,
+      replicateCurveTolerance: 0.03,
+      excludedSamples: [],
+      // Wells failing QC stay out of clustering
+      excludeFailedFromClustering: true
     };
+    this.processingLog = [];
+    this.sampleSheet = null;
+    this.clustering = new GenotypeClustering();
+    this.genotypeCaller = new GenotypeCaller();
+    this.replicateGrouper = new ReplicateGrouper();
+    this.wellQC = new WellQC();
+    // Analysis worker (created on first use; false where workers are unavailable), the run it is working on
+    // and the latest request waiting for it
+    this.worker = null;
+    this.pendingRun = null;
+    this.queuedRun = null;
+    this.runId = 0;
   }
 
   setData(parsedData) {
+    this.cancelAnalysis();
+    // A sample sheet belongs to its plate: kept only when the same file is re-read for another channel
+    if (!this.rawData || !parsedData.meltSource || parsedData.meltSource !== this.rawData.meltSource) {
+      this.sampleSheet = null;
+    }
     this.rawData = parsedData;
     this.extractSamples();
   }
@@ -29,6 +149,46 @@ export class DataProcessor {
     if (!this.rawData) return;
 
     const { data, headers, tempHeader } = this.rawData;
+    const sampleInfo = this.rawData.sampleInfo || {};
+    const sampleTempHeaders = this.rawData.sampleTemperatureHeaders || null;
+    const { gridStart, gridEnd, gridStep } = this.settings;
+    
+    this.processedData = null;
+    this.processingLog = [];
+    
+    if (this.rawData.runs) {
+      this.processingLog.push([
+        'Runs',
+        this.rawData.runs.map(run => `${run.label} (${run.format}, ${run.sampleCount} samples)`).join('; ')
+      ]);
+      const skipped = this.rawData.runs.filter(run => run.amplificationSkipped);
+      if (skipped.length > 0) {
+        this.processingLog.push([
+          'Skipped Amplification',
+          `Cycle count differs from the first run, no Cq: ${skipped.map(run => `${run.label} (${run.amplificationSkipped})`).join(', ')}`
+        ]);
+      }
+    } else if (this.rawData.format) {
+      const details = [this.rawData.format, this.rawData.channel, this.rawData.importNotes].filter(Boolean);
+      this.processingLog.push(['Import', details.join(', ')]);
+    }
+    
+    if (this.rawData.meltChannels) {
+      const { detector, channel, normalizeToReference } = this.rawData.meltChannels.selected;
+      const { passiveReference, referenceMissing = [] } = this.rawData.meltChannels;
+      this.processingLog.push([
+        'Channel',
+        `Detector ${detector}, ${channel === 'rn' ? 'instrument Rn' : `${channel} signal`}` +
+        (normalizeToReference ? ` normalized to ${passiveReference}` : '') +
+        (referenceMissing.length > 0 ? `; not normalized to ${passiveReference}, no ${passiveReference} trace in ${referenceMissing.join(', ')}` : '')
+      ]);
+    }
+    
+    // Per-sample temperature columns, or an explicit grid, need resampling onto one axis
+    if (sampleTempHeaders || gridStart !== null || gridEnd !== null || gridStep !== null) {
+      this.extractResampledSamples();
+      return;
+    }
     
     // 1. Filter valid rows (must have valid temperature)
     const validRows = data.filter(row => {
@@ -46,6 +206,7 @@ export class DataProcessor {
     
     // 3. Extract samples
     const samples = [];
+    const dropped = [];
     headers.forEach((header, idx) => {
       if (header === tempHeader) return; // Skip temperature column
       
@@ -65,15 +226,17 @@ export class DataProcessor {
         const filledFluorescence = this.fillMissingValues(fluorescence);
         
         samples.push({
+          ...sampleInfo[header],
           name: header,
           fluorescence: filledFluorescence,
           visible: true
         });
       } else {
-        console.warn(`Sample ${header} dropped: low data coverage (${(coverage*100).toFixed(1)}%)`);
+        dropped.push({ name: header, coverage });
       }
     });
 
+    this.reportDroppedSamples(dropped, 'valid readings');
     if (samples.length === 0) {
       showToast('Error', 'No valid samples found. Check CSV format.', 'error');
       return;
@@ -82,14 +245,132 @@ export class DataProcessor {
     this.processedData = {
       temperatures,
       samples,
+      droppedSamples: dropped,
       normalized: null,
       derivative: null,
       difference: null
     };
 
+    this.applySampleSheet();
     console.log(`Extracted ${samples.length} samples with ${temperatures.length} points`);
   }
 
+  extractResampledSamples() {
+    const { data, headers, tempHeader } = this.rawData;
+    const sampleInfo = this.rawData.sampleInfo || {};
+    const sampleTempHeaders = this.rawData.sampleTemperatureHeaders || {};
+    const tempHeaders = new Set([tempHeader, ...Object.values(sampleTempHeaders)]);
+
+    // 1. Sorted (temperature, fluorescence) series per sample
+    const series = headers
+      .filter(header => !tempHeaders.has(header))
+      .map(header => {
+        const tCol = sampleTempHeaders[header] || tempHeader;
+        const { x, y } = toSortedSeries(
+          data.map(row => parseFloat(row[tCol])),
+          data.map(row => parseFloat(row[header]))
+        );
+        return { header, x, y };
+      })
+      .filter(s => s.x.length >= 2);
+
+    if (series.length === 0) {
+      showToast('Error', 'No valid samples found. Check CSV format.', 'error');
+      return;
+    }
+
+    // 2. Common grid: the temperature range all samples cover, at their typical step
+    const start = this.settings.gridStart !== null ? this.settings.gridStart : Math.max(...series.map(s => s.x[0]));
+    const end = this.settings.gridEnd !== null ? this.settings.gridEnd : Math.min(...series.map(s => s.x[s.x.length - 1]));
+    let step = this.settings.gridStep;
+    if (step === null) {
+      const typicalSteps = series.map(s => median(s.x.slice(1).map((x, i) => x - s.x[i])));
+      step = Math.max(0.001, Math.round(median(typicalSteps) * 1000) / 1000);
+    }
+
+    if (!(end > start) || !(step > 0)) {
+      showToast('Error', 'Samples do not share a common temperature range for resampling', 'error');
+      return;
+    }
+
+    if ((end - start) / step + 1 > MAX_GRID_POINTS) {
+      step = (end - start) / (MAX_GRID_POINTS - 1);
+      showToast('Grid step increased', `Temperature grid limited to ${MAX_GRID_POINTS} points (step ${formatNumber(step, 3)} °C)`, 'warning');
+    }
+
+    const temperatures = buildGrid(start, end, step);
+
+    // 3. Interpolate every sample onto the grid
+    const samples = [];
+    const dropped = [];
+    series.forEach(({ header, x, y }) => {
+      const fluorescence = interpolateLinear(x, y, temperatures);
+      const coverage = fluorescence.filter(f => f !== null).length / temperatures.length;
+
+      if (coverage > 0.5) {
+        samples.push({
+          ...sampleInfo[header],
+          name: header,
+          fluorescence: this.fillMissingValues(fluorescence),
+          visible: true,
+          resampledFrom: { points: x.length, min: x[0], max: x[x.length - 1] }
+        });
+      } else {
+        dropped.push({ name: header, coverage });
+      }
+    });
+
+    this.reportDroppedSamples(dropped, 'coverage of the temperature grid');
+    if (samples.length === 0) {
+      showToast('Error', 'No samples cover the selected temperature grid', 'error');
+      return;
+    }
+
+    const reason = Object.keys(sampleTempHeaders).length > 0 ? 'per-sample temperatures' : 'user-defined grid';
+    this.processingLog.push([
+      'Resampling',
+      `Linear interpolation onto ${temperatures.length} points, ${formatNumber(start, 2)}-${formatNumber(end, 2)} °C, ` +
+      `step ${formatNumber(step, 3)} °C (${reason})`
+    ]);
+
+    this.processedData = {
+      temperatures,
+      samples,
+      droppedSamples: dropped,
+      normalized: null,
+      derivative: null,
+      difference: null,
+      resampling: { start, end, step, points: temperatures.length, reason }
+    };
+
+    this.applySampleSheet();
+    console.log(`Resampled ${samples.length} samples onto ${temperatures.length} points`);
+  }
+
+  // Columns left out for having less than half their readings: in the log and a warning
+  reportDroppedSamples(dropped, what) {
+    if (dropped.length === 0) return;
+    const list = dropped.map(({ name, coverage }) => `${name} (${formatNumber(coverage * 100, 0)}%)`).join(', ');
+    this.processingLog.push(['Dropped Samples', `Less than 50% ${what}: ${list}`]);
+    showToast('Samples dropped', `${dropped.length} column(s) with less than 50% ${what}: ${list}`, 'warning');
+  }
+
+  // Sample sheet annotations stay attached when samples are re-extracted (new grid, channel)
+  setSampleSheet(sampleSheet) {
+    this.sampleSheet = sampleSheet;
+    return this.applySampleSheet();
+  }
+
+  applySampleSheet() {
+    this.processingLog = this.processingLog.filter(([step]) => step !== 'Sample sheet');
+    if (!this.sampleSheet || !this.processedData) return 0;
+
+    const { samples } = this.processedData;
+    const matched = this.sampleSheet.annotate(samples);
+    this.processingLog.push(['Sample sheet', `${this.sampleSheet.filename}: ${matched} of ${samples.length} samples annotated`]);
+    return matched;
+  }
+
   fillMissingValues(arr) {
     // Simple forward fill then backward fill
     let lastVal = arr.find(v => v !== null) || 0;
@@ -108,89 +389,34 @@ export class DataProcessor {
     }).reverse();
   }
 
-  analyze(settings = {}) {
+  // Resolves to the processed data, or null when the analysis failed, was cancelled, or was replaced by a
+  // newer request while waiting for the worker
+  async analyze(settings = {}) {
     if (!this.processedData) {
       showToast('No data', 'Please upload data first', 'error');
       return null;
     }
 
-    // Update settings
+    // Update settings; a new temperature grid means re-extracting the samples
+    const gridChanged = ['gridStart', 'gridEnd', 'gridStep']
+      .some(key => key in settings && settings[key] !== this.settings[key]);
     this.settings = { ...this.settings, ...settings };
     
-    showLoading(true, 'Analyzing data...');
+    if (gridChanged) {
+      this.cancelAnalysis();
+      this.extractSamples();
+      if (!this.processedData) return null;
+    }
+    
+    showProgress(0, 'Analyzing data...');
 
     try {
-      const { temperatures, samples } = this.processedData;
-      
-      // 1. Detect melt regions
-      const regions = detectMeltRegions(temperatures, samples[0].fluorescence);
-      console.log('Melt regions:', regions);
-
-      // 2. Normalize all samples
-      const normalizedSamples = samples.map(sample => {
-        const normalized = normalizeArray(
-          sample.fluorescence,
-          regions.preStart,
-          regions.preEnd,
-          regions.postStart,
-          regions.postEnd
-        );
-        
-        return {
-          ...sample,
-          normalized
-        };
+      const result = await this.runAnalysis((step, label) => {
+        showProgress(step / ANALYSIS_STEPS.length, `${label} (${step + 1}/${ANALYSIS_STEPS.length})`);
       });
+      if (!result) return null;
 
-      // 3. Calculate derivatives
-      const derivativeSamples = normalizedSamples.map(sample => {
-        // Smooth the normalized data first
-        const smoothed = movingAverage(sample.normalized, this.settings.smoothingWindow);
-        
-        // Calculate derivative
-        const deriv = calculateDerivative(temperatures, smoothed);
-        
-        // Negative derivative for -dF/dT
-        const negDeriv = deriv.map(d => -d);
-        
-        // Find Tm
-        const tm = findTm(temperatures, negDeriv);
-        
-        return {
-          ...sample,
-          derivative: negDeriv,
-          tm: tm
-        };
-      });
-
-      // 4. Calculate difference plot (if reference selected)
-      let differenceSamples = derivativeSamples;
-      if (this.settings.referenceSample !== null) {
-        const refIdx = parseInt(this.settings.referenceSample);
-        if (refIdx >= 0 && refIdx < derivativeSamples.length) {
-          const reference = derivativeSamples[refIdx].normalized;
-          
-          differenceSamples = derivativeSamples.map((sample, idx) => {
-            if (idx === refIdx) {
-              return {
-                ...sample,
-                difference: new Array(reference.length).fill(0)
-              };
-            }
-            
-            const diff = sample.normalized.map((val, i) => val - reference[i]);
-            return {
-              ...sample,
-              difference: diff
-            };
-          });
-        }
-      }
-
-      this.processedData.samples = differenceSamples;
-      this.processedData.regions = regions;
-
-      showLoading(false);
+      showProgress(null);
       showToast('Analysis complete', 'Data processed successfully', 'success');
 
       // Trigger analysis complete event
@@ -201,17 +427,576 @@ export class DataProcessor {
       return this.processedData;
       
     } catch (error) {
-      showLoading(false);
+      showProgress(null);
       showToast('Analysis error', error.message, 'error');
       console.error('Analysis error:', error);
       return null;
     }
   }
 
+  // Runs computeAnalysis in the analysis worker, so large plates don't freeze the page; progress(step, label)
+  // is called as each step starts. While the worker is busy only the latest request waits, and is sent with
+  // the settings of that moment when the current run finishes; a request replaced while waiting resolves
+  // to null. Resolves to the processed data, or null when replaced or cancelled. Where workers are
+  // unavailable (older browsers, or no worker support for the page's origin) the analysis runs here instead.
+  runAnalysis(progress = null) {
+    if (!this.getWorker()) {
+      return new Promise(resolve => resolve(this.computeAnalysis(progress)));
+    }
+
+    return new Promise((resolve, reject) => {
+      const run = { progress, resolve, reject };
+      if (!this.pendingRun) {
+        this.startRun(run);
+        return;
+      }
+      if (this.queuedRun) this.queuedRun.resolve(null);
+      this.queuedRun = run;
+    });
+  }
+
+  startRun(run) {
+    run.id = ++this.runId;
+    this.pendingRun = run;
+    const { temperatures, samples } = this.processedData;
+    this.worker.postMessage({ id: run.id, temperatures, samples, settings: this.settings, log: this.processingLog });
+  }
+
+  // Sends the waiting request, if any; otherwise the worker is idle and the progress bar goes
+  startQueuedRun() {
+    const run = this.queuedRun;
+    this.queuedRun = null;
+    if (run) {
+      this.startRun(run);
+    } else {
+      showProgress(null);
+    }
+  }
+
+  // Stops the analysis in progress and any waiting request, which resolve to null; returns whether there
+  // was one. The worker is busy until it finishes, so it is terminated and a new one started for the next run.
+  cancelAnalysis() {
+    const runs = [this.pendingRun, this.queuedRun].filter(Boolean);
+    if (runs.length === 0) return false;
+
+    this.pendingRun = null;
+    this.queuedRun = null;
+    this.worker.terminate();
+    this.worker = null;
+    showProgress(null);
+    runs.forEach(run => run.resolve(null));
+    return true;
+  }
+
+  getWorker() {
+    if (this.worker === null) {
+      try {
+        this.worker = new Worker(new URL('./analysisWorker.js', import.meta.url), { type: 'module' });
+        this.worker.addEventListener('message', (e) => this.onWorkerMessage(e.data));
+        this.worker.addEventListener('error', (e) => {
+          // The worker script failed to load (e.g. no module worker support): analyze here from now on
+          e.preventDefault();
+          this.fallBackFromWorker();
+        });
+      } catch (error) {
+        console.warn('Analysis worker unavailable, analyzing on the main thread:', error);
+        this.worker = false;
+      }
+    }
+    return this.worker;
+  }
+
+  fallBackFromWorker() {
+    const runs = [this.pendingRun, this.queuedRun].filter(Boolean);
+    if (this.worker) this.worker.terminate();
+    this.worker = false;
+    this.pendingRun = null;
+    this.queuedRun = null;
+
+    runs.forEach(run => {
+      try {
+        run.resolve(this.computeAnalysis(run.progress));
+      } catch (error) {
+        run.reject(error);
+      }
+    });
+  }
+
+  onWorkerMessage(message) {
+    const run = this.pendingRun;
+    if (!run || message.id !== run.id) return;
+
+    if (message.type === 'progress') {
+      if (run.progress) run.progress(message.step, message.label);
+      return;
+    }
+
+    this.pendingRun = null;
+    if (message.type === 'error') {
+      run.reject(new Error(message.message));
+      this.startQueuedRun();
+      return;
+    }
+
+    // Visibility may have been toggled, or a sample sheet loaded, while the worker ran
+    const { samples } = this.processedData;
+    message.samples.forEach((sample, idx) => {
+      if (samples[idx]) sample.visible = samples[idx].visible;
+    });
+    this.processedData.samples = message.samples;
+    this.processedData.regions = message.regions;
+    this.processedData.replicateGroups = message.replicateGroups;
+    // Manual regions outside the temperature range are clamped by the analysis, unless newer ones wait
+    if (!this.queuedRun) this.settings.meltRegions = message.meltRegions;
+    this.processingLog = message.log;
+    this.applySampleSheet();
+    run.resolve(this.processedData);
+    this.startQueuedRun();
+  }
+
+  // Normalization, derivatives, Tm and difference curves for the extracted samples;
+  // progress(step, label) is called as each step starts
+  computeAnalysis(progress = null) {
+    const { temperatures, samples } = this.processedData;
+    const report = step => {
+      if (progress) progress(step, ANALYSIS_STEPS[step]);
+    };
+    
+    // 1. Pre/post-melt regions: detected per sample or per plate, or the user's temperatures in manual mode
+    report(0);
+    const { regions, sampleRegions } = this.resolveMeltRegions(temperatures, samples);
+
+    // 2. Normalize all samples; baseline fits that fail fall back to min/max scaling
+    report(1);
+    const methodKey = NORMALIZATION_METHODS[this.settings.normalizationMethod] ? this.settings.normalizationMethod : 'minmax';
+    const method = NORMALIZATION_METHODS[methodKey];
+    const normalizedSamples = samples.map((sample, idx) => {
+      const { preStart, preEnd, postStart, postEnd, temperatures: regionTemperatures, plateauWarning } = sampleRegions[idx];
+      const fitted = method.normalize
+        ? method.normalize(temperatures, sample.fluorescence, preStart, preEnd, postStart, postEnd)
+        : null;
+      const normalized = fitted ? fitted.normalized : normalizeArray(
+        sample.fluorescence,
+        preStart,
+        preEnd,
+        postStart,
+        postEnd
+      );
+      
+      return {
+        ...sample,
+        normalized,
+        normalization: {
+          method: fitted || !method.normalize ? methodKey : 'minmax',
+          parameters: fitted ? fitted.parameters : null,
+          fallback: Boolean(method.normalize && !fitted)
+        },
+        meltRegions: regionTemperatures,
+        plateauWarning,
+        shifted: null,
+        temperatureShift: null
+      };
+    });
+
+    const fallbacks = normalizedSamples.filter(sample => sample.normalization.fallback);
+    this.processingLog.push([
+      'Normalization Method',
+      method.label + (fallbacks.length > 0
+        ? `; baseline fit failed in ${fallbacks.length} sample(s), min/max scaling used: ${fallbacks.map(s => s.name).join(', ')}`
+        : '')
+    ]);
+
+    // 3. Temperature shift (optional): shifted curves feed the derivative and difference plots
+    report(2);
+    const shiftedSamples = this.settings.temperatureShift
+      ? this.shiftSamples(temperatures, normalizedSamples)
+      : normalizedSamples;
+
+    // 4. Calculate derivatives (-dF/dT)
+    report(3);
+    const derivativeMethod = DERIVATIVE_METHODS[this.settings.derivativeMethod] ? this.settings.derivativeMethod : 'movingAverage';
+    this.processingLog.push(['Derivative', this.describeDerivative(temperatures, derivativeMethod)]);
+
+    const derivativeSamples = shiftedSamples.map(sample => {
+      const negDeriv = this.negativeDerivative(temperatures, sample.normalized, derivativeMethod);
+      
+      // Find Tm and all melt peaks (on the unshifted curve, so they stay the sample's own temperatures)
+      const { tm, tmFit, peaks } = this.findMeltPeaks(temperatures, sample.normalized, negDeriv, sample.meltRegions);
+      
+      return {
+        ...sample,
+        derivative: sample.shifted ? this.negativeDerivative(temperatures, sample.shifted, derivativeMethod) : negDeriv,
+        tm: tm,
+        tmFit,
+        peaks,
+        tmValidation: this.compareInstrumentTm(tm, sample.instrumentTm)
+      };
+    });
+
+    const fitted = derivativeSamples.filter(sample => sample.tmFit.rSquared !== null);
+    const unfitted = derivativeSamples.filter(sample => sample.tmFit.fallback);
+    this.processingLog.push([
+      'Tm',
+      (TM_METHODS[this.settings.tmMethod] || TM_METHODS.discrete) +
+      (fitted.length > 0 ? `; median R² ${formatNumber(median(fitted.map(sample => sample.tmFit.rSquared)), 4)}` : '') +
+      (unfitted.length > 0 ? `; fit failed, discrete maximum used in ${unfitted.length} sample(s): ${unfitted.map(s => s.name).join(', ')}` : '')
+    ]);
+
+    const multiPeak = derivativeSamples.filter(sample => sample.peaks.length > 1);
+    this.processingLog.push([
+      'Peak Detection',
+      `-dF/dT peaks of at least ${formatNumber(this.settings.peakMinHeight * 100, 0)}% of the tallest in height and ` +
+      `${formatNumber(this.settings.peakMinProminence * 100, 0)}% in prominence` +
+      (multiPeak.length > 0 ? `; more than one peak in ${multiPeak.length} sample(s): ${multiPeak.map(s => s.name).join(', ')}` : '')
+    ]);
+
+    // 5. Calculate difference plot (if reference selected): against one sample, or a genotype's standards
+    report(4);
+    let differenceSamples = derivativeSamples;
+    if (this.settings.referenceSample !== null) {
+      const curve = sample => sample.shifted || sample.normalized;
+      const reference = this.differenceReference(derivativeSamples, curve);
+      if (reference) {
+        differenceSamples = derivativeSamples.map(sample => {
+          const diff = curve(sample).map((val, i) => val - reference[i]);
+          return {
+            ...sample,
+            difference: diff
+          };
+        });
+      }
+    }
+
+    // 6. Well QC: signal, saturation, melt shape, derivative noise, primer-dimers, NTC product
+    report(5);
+    const qcCounts = this.wellQC.check(temperatures, differenceSamples);
+    this.processingLog.push(['Well QC', this.wellQC.describe(qcCounts, differenceSamples)]);
+
+    // 7. Cluster the curves into genotype groups
+    report(6);
+    const failedQC = this.settings.excludeFailedFromClustering ? sample => sample.qc.status === 'fail' : null;
+    const clusters = this.clustering.cluster(temperatures, differenceSamples, failedQC);
+    this.processingLog.push(['Clustering', this.clustering.describe(clusters)]);
+
+    // 8. Call genotypes against the reference curves of the marked standards
+    report(7);
+    const calls = this.genotypeCaller.call(temperatures, differenceSamples, this.settings.standards, this.settings.callConfidence);
+    if (calls) {
+      this.processingLog.push(['Genotype Calls', this.genotypeCaller.describe(calls, this.settings.callConfidence)]);
+    }
+
+    // 9. Replicate groups: Tm statistics, mean curves and deviating replicates
+    report(8);
+    const replicateSettings = {
+      assignments: this.settings.replicateGroups,
+      excluded: this.settings.excludedSamples,
+      tmTolerance: this.settings.replicateTmTolerance,
+      curveTolerance: this.settings.replicateCurveTolerance
+    };
+    this.processedData.replicateGroups = this.replicateGrouper.group(temperatures, differenceSamples, replicateSettings);
+    this.processingLog.push(['Replicate Groups', this.replicateGrouper.describe(this.processedData.replicateGroups, replicateSettings)]);
+
+    this.processedData.samples = differenceSamples;
+    // Plate-wide regions (per-plate and manual modes); null when every sample has its own
+    this.processedData.regions = regions;
+    return this.processedData;
+  }
+
+  // Index ranges for normalizing each sample, with their temperatures ({ pre: [start, end], post: [start, end] } in °C)
+  // and a warning where automatic detection found no plateau.
+  // Manual regions outside the current temperature range start over from the detected plate regions.
+  resolveMeltRegions(temperatures, samples) {
+    const mode = this.settings.normalizationMode;
+    const withTemperatures = (regions, plateauWarning = null) => ({
+      ...regions,
+      temperatures: {
+        pre: [temperatures[regions.preStart], temperatures[regions.preEnd - 1]],
+        post: [temperatures[regions.postStart], temperatures[regions.postEnd - 1]]
+      },
+      plateauWarning
+    });
+    const describe = ({ pre, post }) =>
+      `pre-melt ${formatNumber(pre[0], 2)}-${formatNumber(pre[1], 2)} °C, post-melt ${formatNumber(post[0], 2)}-${formatNumber(post[1], 2)} °C`;
+
+    let regions = null;
+    let sampleRegions;
+    let description;
+
+    if (mode === 'manual') {
+      // Regions reaching past the data (e.g. set on a wider run) are clamped to it;
+      // only regions with nothing left inside the data are replaced by detected ones
+      const first = temperatures[0];
+      const last = temperatures[temperatures.length - 1];
+      const clamp = range => [Math.max(range[0], first), Math.min(range[1], last)];
+      const manual = this.settings.meltRegions;
+      const pre = manual ? clamp(manual.pre) : null;
+      const post = manual ? clamp(manual.post) : null;
+      if (!manual || pre[0] >= pre[1] || post[0] >= post[1]) {
+        const detected = withTemperatures(detectMeltRegions(temperatures, plateCurve(samples)));
+        this.settings.meltRegions = { pre: detected.temperatures.pre, post: detected.temperatures.post };
+      } else {
+        this.settings.meltRegions = { pre, post };
+      }
+
+      const [preStart, preEnd] = indexRange(temperatures, this.settings.meltRegions.pre);
+      const [postStart, postEnd] = indexRange(temperatures, this.settings.meltRegions.post);
+      regions = withTemperatures({ preStart, preEnd, postStart, postEnd });
+      sampleRegions = samples.map(() => regions);
+      description = `Manual; ${describe(regions.temperatures)}`;
+    } else {
+      // Each curve's own plateaus; in per-plate mode they only flag wells the plate regions may not suit
+      const detected = samples.map(sample => {
+        const found = detectMeltRegions(temperatures, sample.fluorescence);
+        return withTemperatures(found, plateauWarning(found));
+      });
+
+      if (mode === 'plate') {
+        const usable = samples.filter((sample, idx) => !detected[idx].plateauWarning);
+        const found = detectMeltRegions(temperatures, plateCurve(usable.length > 0 ? usable : samples));
+        regions = withTemperatures(found, plateauWarning(found));
+        sampleRegions = detected.map(({ plateauWarning: warning }) => ({ ...regions, plateauWarning: warning || regions.plateauWarning }));
+        description = `Automatic per plate; ${describe(regions.temperatures)}` +
+          (regions.plateauWarning ? ` (${regions.plateauWarning.toLowerCase()} in the plate average)` : '');
+      } else {
+        sampleRegions = detected;
+        description = 'Automatic per sample, plateaus found from the derivative and curvature of each curve';
+      }
+    }
+
+    const flagged = samples.filter((sample, idx) => sampleRegions[idx].plateauWarning);
+    if (flagged.length > 0) {
+      description += `; no clear plateau in ${flagged.length} sample(s), fixed 10% windows used: ${flagged.map(s => s.name).join(', ')}`;
+    }
+
+    this.processingLog = this.processingLog.filter(([step]) => !ANALYSIS_LOG_STEPS.includes(step));
+    this.processingLog.push(['Normalization', description]);
+
+    return { regions, sampleRegions };
+  }
+
+  // Tm by the selected method around the tallest -dF/dT peak: { tm, tmFit: { method, rSquared, fallback } }.
+  // Falls back to the discrete maximum where the fit fails.
+  fitTm(temperatures, normalized, derivative, peaks) {
+    const method = TM_METHODS[this.settings.tmMethod] ? this.settings.tmMethod : 'discrete';
+    const main = peaks[0];
+    let fit = null;
+
+    if (main && method === 'logistic') {
+      const step = (temperatures[temperatures.length - 1] - temperatures[0]) / (temperatures.length - 1);
+      fit = fitLogisticTm(temperatures, normalized, main.tm, Math.max(1.5 * main.fwhm, 5 * step));
+    } else if (main && method !== 'discrete') {
+      // Peaks are already refined with the same fit
+      fit = main.rSquared !== undefined ? { tm: main.tm, rSquared: main.rSquared } : null;
+    }
+
+    if (fit) {
+      return { tm: fit.tm, tmFit: { method, rSquared: fit.rSquared, fallback: false } };
+    }
+    return {
+      tm: findTm(temperatures, derivative),
+      tmFit: { method: 'discrete', rSquared: null, fallback: method !== 'discrete' }
+    };
+  }
+
+  negativeDerivative(temperatures, values, method) {
+    return DERIVATIVE_METHODS[method].derivative(temperatures, values, this.settings).map(d => -d);
+  }
+
+  describeDerivative(temperatures, method) {
+    const { smoothingWindow, sgOrder } = this.settings;
+    if (method === 'savitzkyGolay') {
+      // Window as savitzkyGolay uses it: odd, and longer than the polynomial order
+      let size = Math.max(smoothingWindow, sgOrder + 1);
+      if (size % 2 === 0) size++;
+      return `Savitzky-Golay derivative, ${size}-point window, polynomial order ${sgOrder}`;
+    }
+    if (method === 'spline') {
+      return `Smoothing spline derivative, smoothing scale ${formatNumber(splineBandwidth(temperatures, smoothingWindow), 2)} °C`;
+    }
+    return `Moving average over ${smoothingWindow} points, central differences`;
+  }
+
+  // Tallest-first peaks of -dF/dT (refined by the Tm method) and the Tm from the tallest. Peaks are looked for
+  // from the start of the pre-melt region to the end of the post-melt region: outside them the normalized
+  // curve is extrapolated, and noise there can outgrow the melt peak.
+  findMeltPeaks(temperatures, normalized, negDeriv, meltRegions) {
+    const { peakMinHeight, peakMinProminence, smoothingWindow } = this.settings;
+    const from = meltRegions ? meltRegions.pre[0] : null;
+    const to = meltRegions ? meltRegions.post[1] : null;
+    const peaks = this.refinePeaks(
+      temperatures,
+      negDeriv,
+      findPeaks(temperatures, negDeriv, peakMinHeight, peakMinProminence, smoothingWindow, from, to)
+    );
+    return { ...this.fitTm(temperatures, normalized, negDeriv, peaks), peaks };
+  }
+
+  // -dF/dT of one analyzed sample by every derivative method with the current settings, plus the
+  // unsmoothed central difference, for comparing their peaks: { temperatures, name, methods: [...] }
+  derivativePreview(sampleIndex) {
+    const data = this.processedData;
+    const sample = data && data.samples[sampleIndex];
+    if (!sample || !sample.normalized) return null;
+
+    const { temperatures } = data;
+    const variants = [
+      { method: 'none', label: 'Unsmoothed', derivative: calculateDerivative(temperatures, sample.normalized).map(d => -d) },
+      ...Object.entries(DERIVATIVE_METHODS).map(([method, { label }]) => ({
+        method,
+        label,
+        derivative: this.negativeDerivative(temperatures, sample.normalized, method)
+      }))
+    ];
+
+    return {
+      temperatures,
+      name: sample.name,
+      current: this.settings.derivativeMethod,
+      methods: variants.map(variant => {
+        const { tm, peaks } = this.findMeltPeaks(temperatures, sample.normalized, variant.derivative, sample.meltRegions);
+        return { ...variant, tm, peak: peaks[0] || null, peakCount: peaks.length };
+      })
+    };
+  }
+
+  // Peak positions from a quadratic or Gaussian fit, with its R², when one of those Tm methods is selected
+  refinePeaks(temperatures, derivative, peaks) {
+    const { tmMethod } = this.settings;
+    if (tmMethod !== 'quadratic' && tmMethod !== 'gaussian') return peaks;
+
+    return peaks.map(peak => {
+      const fit = fitPeakTm(temperatures, derivative, peak.index, tmMethod === 'gaussian');
+      return fit ? { ...peak, tm: fit.tm, rSquared: fit.rSquared } : peak;
+    });
+  }
+
+  // Moves each normalized curve along the temperature axis so all fall through the threshold at the
+  // median crossing temperature; curves that never cross it, or have no clear plateau, are left in place
+  // (temperatureShift null)
+  shiftSamples(temperatures, samples) {
+    const { shiftThreshold, shiftStart, shiftEnd } = this.settings;
+    const crossings = samples.map(sample => (sample.plateauWarning
+      ? null
+      : findThresholdCrossing(temperatures, sample.normalized, shiftThreshold, shiftStart, shiftEnd)));
+    const found = crossings.filter(t => t !== null);
+    const target = found.length > 0 ? median(found) : null;
+
+    const shiftedSamples = samples.map((sample, idx) => {
+      const shift = crossings[idx] !== null ? target - crossings[idx] : null;
+      return {
+        ...sample,
+        shifted: shift !== null ? shiftCurve(temperatures, sample.normalized, shift) : sample.normalized,
+        temperatureShift: shift
+      };
+    });
+
+    const searched = shiftStart !== null || shiftEnd !== null
+      ? ` between ${shiftStart !== null ? formatNumber(shiftStart, 1) : 'start'} and ${shiftEnd !== null ? formatNumber(shiftEnd, 1) : 'end'} °C`
+      : '';
+    const shifts = shiftedSamples.map(s => s.temperatureShift).filter(shift => shift !== null);
+    const missed = shiftedSamples.filter(s => s.temperatureShift === null);
+    let description = `Curves aligned where they fall through ${formatNumber(shiftThreshold, 2)} normalized fluorescence${searched}`;
+    if (target !== null) {
+      description += ` at ${formatNumber(target, 2)} °C; shifts ${formatNumber(Math.min(...shifts), 2)} to ${formatNumber(Math.max(...shifts), 2)} °C`;
+    }
+    if (missed.length > 0) {
+      description += `; not shifted (threshold not reached or no clear plateau) in ${missed.length} sample(s): ${missed.map(s => s.name).join(', ')}`;
+    }
+    this.processingLog.push(['Temperature Shift', description]);
+
+    return shiftedSamples;
+  }
+
+  // Curve the difference plot subtracts: a sample's (by index), or the mean of a genotype's standards
+  differenceReference(samples, curve) {
+    const reference = String(this.settings.referenceSample);
+    if (reference.startsWith(STANDARD_REFERENCE_PREFIX)) {
+      const genotype = reference.slice(STANDARD_REFERENCE_PREFIX.length);
+      const standards = samples.filter(sample => this.settings.standards[sample.name] === genotype);
+      return standards.length > 0 ? centroid(standards.map(curve)) : null;
+    }
+
+    const refIdx = parseInt(reference);
+    return refIdx >= 0 && refIdx < samples.length ? curve(samples[refIdx]) : null;
+  }
+
+  // Marks samples (by name) as standards of a genotype; an empty genotype unmarks them
+  setStandards(sampleNames, genotype) {
+    const standards = { ...this.settings.standards };
+    sampleNames.forEach(name => {
+      if (genotype) {
+        standards[name] = genotype;
+      } else {
+        delete standards[name];
+      }
+    });
+    this.settings.standards = standards;
+  }
+
+  // Assigns samples (by name) to a replicate group; an empty group returns them to automatic grouping
+  setReplicateGroup(sampleNames, group) {
+    const replicateGroups = { ...this.settings.replicateGroups };
+    sampleNames.forEach(name => {
+      if (group) {
+        replicateGroups[name] = group;
+      } else {
+        delete replicateGroups[name];
+      }
+    });
+    this.settings.replicateGroups = replicateGroups;
+  }
+
+  // Excluded replicates are hidden and left out of their group's statistics and mean curves
+  setExcluded(sampleNames, excluded) {
+    const names = new Set(this.settings.excludedSamples);
+    sampleNames.forEach(name => {
+      if (excluded) {
+        names.add(name);
+      } else {
+        names.delete(name);
+      }
+    });
+    this.settings.excludedSamples = [...names];
+
+    if (!this.processedData) return;
+    this.processedData.samples.forEach(sample => {
+      if (sampleNames.includes(sample.name)) sample.visible = !excluded;
+    });
+  }
+
+  // Manual pre/post-melt temperatures changed (dragged bands): recompute without reloading the view.
+  // Resolves to the processed data, or null when there is nothing to recompute or a newer change superseded it.
+  async setMeltRegions(meltRegions) {
+    this.settings.meltRegions = meltRegions;
+    if (!this.processedData || this.settings.normalizationMode !== 'manual') return null;
+    return this.runAnalysis();
+  }
+
+  // Compare our Tm with the closest Tm reported by the instrument software
+  compareInstrumentTm(tm, instrumentTms) {
+    if (!instrumentTms || instrumentTms.length === 0 || tm === undefined) return null;
+
+    const nearest = instrumentTms.reduce((best, value) =>
+      Math.abs(value - tm) < Math.abs(best - tm) ? value : best
+    );
+    const deviation = tm - nearest;
+
+    return {
+      instrumentTm: nearest,
+      deviation,
+      agrees: Math.abs(deviation) <= this.settings.tmTolerance
+    };
+  }
+
   getProcessedData() {
     return this.processedData;
   }
 
+  // [step, description] pairs describing transformations applied to the data
+  getProcessingLog() {
+    return this.processingLog;
+  }
+
   toggleSampleVisibility(sampleIndex) {
     if (this.processedData && this.processedData.samples[sampleIndex]) {
       this.processedData.samples[sampleIndex].visible = 
@@ -233,10 +1018,12 @@ export class DataProcessor {
     }
   }
 
-  setAllSamplesVisibility(visible) {
+  setAllSamplesVisibility(visible, filter = null) {
     if (this.processedData) {
       this.processedData.samples.forEach(sample => {
-        sample.visible = visible;
+        if (!filter || filter(sample)) {
+          sample.visible = visible;
+        }
       });
       
       window.dispatchEvent(new CustomEvent('sampleVisibilityChanged', {
@@ -245,6 +1032,19 @@ export class DataProcessor {
     }
   }
 
+  // Original (temperature, fluorescence) readings of each sample, before resampling
+  getRawSeries() {
+    if (!this.rawData || !this.processedData) return [];
+
+    const { data, tempHeader } = this.rawData;
+    const sampleTempHeaders = this.rawData.sampleTemperatureHeaders || {};
+
+    return this.processedData.samples.map(sample => {
+      const { temperatures, values } = columnSeries(data, sampleTempHeaders[sample.name] || tempHeader, sample.name);
+      return { name: sample.name, temperatures, fluorescence: values };
+    });
+  }
+
   exportProcessedData() {
     if (!this.processedData) return null;
 
@@ -278,4 +1078,145 @@ export class DataProcessor {
 
     return exportData;
   }
+
+  exportSampleSummary() {
+    if (!this.processedData) return null;
+
+    const rows = [['Sample', 'Run', 'Well', 'Sample Name', ...SAMPLE_SHEET_FIELDS.map(({ label }) => label),
+      'Task', 'Detector', 'Reporter', 'Plate Color', 'Tm (°C)', 'Tm Method', 'Tm Fit R²',
+      'Peak Count', 'Peaks (Tm °C / Height / FWHM °C / Area)',
+      'Instrument Tm (°C)', 'Nearest Instrument Tm (°C)', 'Tm Deviation (°C)', 'Tm Agreement',
+      'Pre-melt Region (°C)', 'Post-melt Region (°C)', 'Normalization Check',
+      'Normalization Method', 'Normalization Parameters', 'Temperature Shift (°C)',
+      'Cluster', 'Cluster Confidence', 'Cluster Distance',
+      'Standard', 'Genotype Call', 'Call Confidence', 'Call Distance', 'Distances to References',
+      'Replicate Group', 'Replicate Flag', 'Excluded', 'QC Status', 'QC Flags',
+      'Original Points', 'Original Range (°C)']];
+
+    this.processedData.samples.forEach(sample => {
+      const validation = sample.tmValidation;
+      rows.push([
+        sample.name,
+        sample.run || '',
+        sample.well || '',
+        sample.sampleName || '',
+        ...SAMPLE_SHEET_FIELDS.map(({ key }) => sample[key] || ''),
+        sample.task || '',
+        sample.detector || '',
+        sample.reporter || '',
+        sample.plateColor || '',
+        sample.tm !== undefined ? sample.tm : '',
+        sample.tmFit ? TM_METHODS[sample.tmFit.method] + (sample.tmFit.fallback ? ' (fit failed)' : '') : '',
+        sample.tmFit && sample.tmFit.rSquared !== null ? sample.tmFit.rSquared : '',
+        sample.peaks ? sample.peaks.length : '',
+        sample.peaks ? sample.peaks.map(formatPeak).join('; ') : '',
+        sample.instrumentTm ? sample.instrumentTm.join('; ') : '',
+        validation ? validation.instrumentTm : '',
+        validation ? validation.deviation : '',
+        validation ? (validation.agrees ? 'OK' : `Differs > ${this.settings.tmTolerance} °C`) : '',
+        sample.meltRegions ? sample.meltRegions.pre.join('-') : '',
+        sample.meltRegions ? sample.meltRegions.post.join('-') : '',
+        sample.meltRegions ? sample.plateauWarning || 'OK' : '',
+        sample.normalization ? normalizationLabel(sample.normalization) : '',
+        sample.normalization ? normalizationParameters(sample.normalization) : '',
+        sample.temperatureShift !== undefined && sample.temperatureShift !== null ? sample.temperatureShift : '',
+        sample.cluster || '',
+        sample.clusterConfidence !== undefined && sample.clusterConfidence !== null ? sample.clusterConfidence : '',
+        sample.clusterDistance !== undefined && sample.clusterDistance !== null ? sample.clusterDistance : '',
+        sample.standardGenotype || '',
+        sample.genotypeCall || '',
+        sample.callConfidence !== undefined && sample.callConfidence !== null ? sample.callConfidence : '',
+        sample.callDistance !== undefined && sample.callDistance !== null ? sample.callDistance : '',
+        sample.callDistances
+          ? Object.entries(sample.callDistances).map(([genotype, distance]) => `${genotype}: ${formatNumber(distance, 4)}`).join('; ')
+          : '',
+        sample.replicateGroup || '',
+        sample.replicateFlag || '',
+        sample.excluded ? 'Yes' : '',
+        sample.qc ? QC_STATUS[sample.qc.status] : '',
+        sample.qc ? sample.qc.flags.map(flag => `${QC_STATUS[flag.severity]}: ${flag.message}`).join('; ') : '',
+        sample.resampledFrom ? sample.resampledFrom.points : '',
+        sample.resampledFrom ? `${sample.resampledFrom.min}-${sample.resampledFrom.max}` : ''
+      ]);
+    });
+
+    return rows;
+  }
+
+  exportReplicateSummary() {
+    if (!this.processedData || !this.processedData.replicateGroups) return null;
+
+    const { samples, replicateGroups } = this.processedData;
+    const names = indices => indices.map(idx => samples[idx].name).join('; ');
+    const rows = [['Replicate Group', 'Replicates', 'Used', 'Mean Tm (°C)', 'Tm SD (°C)', 'Tm CV (%)', 'Flagged', 'Excluded']];
+    replicateGroups.forEach(group => {
+      rows.push([
+        group.name,
+        names(group.members),
+        group.used.length,
+        group.meanTm !== null ? group.meanTm : '',
+        group.sdTm !== null ? group.sdTm : '',
+        group.cvTm !== null ? group.cvTm : '',
+        names(group.flagged),
+        names(group.members.filter(idx => !group.used.includes(idx)))
+      ]);
+    });
+    return rows;
+  }
+}
+
+// [start, end) indices of the grid points inside a temperature range; at least the nearest point
+function indexRange(temperatures, [from, to]) {
+  let start = temperatures.findIndex(t => t >= from);
+  let end = temperatures.length;
+  while (end > 0 && temperatures[end - 1] > to) end--;
+
+  if (start < 0 || end <= start) {
+    const middle = (from + to) / 2;
+    start = temperatures.reduce((best, t, i) => (Math.abs(t - middle) < Math.abs(temperatures[best] - middle) ? i : best), 0);
+    end = start + 1;
+  }
+  return [start, end];
+}
+
+// Average of the samples scaled to 0-1, so bright wells do not dominate plate-wide detection
+function plateCurve(samples) {
+  const scaled = samples.map(({ fluorescence }) => {
+    const min = Math.min(...fluorescence);
+    const range = Math.max(...fluorescence) - min;
+    return fluorescence.map(value => (range > 0 ? (value - min) / range : 0));
+  });
+  return scaled[0].map((_, i) => scaled.reduce((sum, curve) => sum + curve[i], 0) / scaled.length);
+}
+
+function formatPeak({ tm, height, fwhm, area }) {
+  return `${formatNumber(tm, 2)} / ${formatNumber(height, 4)} / ${formatNumber(fwhm, 2)} / ${formatNumber(area, 4)}`;
+}
+
+function normalizationLabel({ method, fallback }) {
+  return NORMALIZATION_METHODS[method].label + (fallback ? ' (baseline fit failed)' : '');
+}
+
+function normalizationParameters({ method, parameters }) {
+  if (!parameters) return '';
+  if (method === 'linear') {
+    return `pre: ${formatNumber(parameters.preSlope, 4)}·T + ${formatNumber(parameters.preIntercept, 4)}; ` +
+      `post: ${formatNumber(parameters.postSlope, 4)}·T + ${formatNumber(parameters.postIntercept, 4)}`;
+  }
+  return `C·exp(a(T - ${formatNumber(parameters.referenceTemperature, 2)})), ` +
+    `a = ${formatNumber(parameters.exponent, 4)}, C = ${formatNumber(parameters.amplitude, 4)}`;
+}
+
+function plateauWarning({ prePlateau, postPlateau }) {
+  if (!prePlateau && !postPlateau) return 'No pre- or post-melt plateau';
+  if (!prePlateau) return 'No pre-melt plateau';
+  if (!postPlateau) return 'No post-melt plateau';
+  return null;
+}
+
+// Smoothing scale (°C) of the spline derivative: a quarter of the span of smoothingWindow grid steps,
+// which filters out about the same noise frequencies as a moving average over the window
+function splineBandwidth(temperatures, smoothingWindow) {
+  const step = (temperatures[temperatures.length - 1] - temperatures[0]) / Math.max(1, temperatures.length - 1);
+  return smoothingWindow * step / 4;
 }
@@ -1,5 +1,6 @@
 // EDS File Parser for Applied Biosystems .eds files
 // .eds files are ZIP archives containing XML and data files
+import { wellIndexToId, plateColumnsForWellCount, buildPairedColumns, loadJSZip } from './utils.js';
 
 export class EDSParser {
   constructor() {
@@ -7,22 +8,10 @@ export class EDSParser {
   }
 
   async loadJSZip() {
-    if (this.zipLib) return this.zipLib;
-    if (window.JSZip) {
-      this.zipLib = window.JSZip;
-      return this.zipLib;
+    if (!this.zipLib) {
+      this.zipLib = await loadJSZip();
     }
-    
-    return new Promise((resolve, reject) => {
-      const script = document.createElement('script');
-      script.src = 'lib/jszip.min.js';
-      script.onload = () => {
-        this.zipLib = window.JSZip;
-        resolve(this.zipLib);
-      };
-      script.onerror = () => reject(new Error('Failed to load JSZip'));
-      document.head.appendChild(script);
-    });
+    return this.zipLib;
   }
 
   async parseEDSFile(file) {
@@ -31,15 +20,79 @@ export class EDSParser {
     try {
       const zip = await this.zipLib.loadAsync(file);
       
+      // Plate layout (well positions, sample names, tasks) is optional
+      const plateSetupFile = zip.file('apldbio/sds/plate_setup.xml');
+      let plate = null;
+      if (plateSetupFile) {
+        try {
+          plate = this.parsePlateSetup(await plateSetupFile.async('text'));
+        } catch (error) {
+          console.warn('Could not read plate setup:', error);
+        }
+      }
+      
+      // Amplification results (per-cycle Rn/ΔRn and instrument Ct) are optional
+      const analysisResultFile = zip.file('apldbio/sds/analysis_result.txt');
+      const amplification = analysisResultFile
+        ? this.parseAnalysisResult(await analysisResultFile.async('text'), plate)
+        : null;
+      
+      // Run metadata (instrument, run times, thermal protocol)
+      const runInfo = await this.parseRunInfo(zip, plate);
+      
+      // Block/sample/cover temperatures recorded during the run (for block QC)
+      const temperatureLogFile = zip.file('apldbio/sds/logs/temperature.log');
+      let temperatureLog = null;
+      if (temperatureLogFile) {
+        try {
+          temperatureLog = this.parseTemperatureLog(await temperatureLogFile.async('text'));
+        } catch (error) {
+          console.warn('Could not read temperature log:', error);
+        }
+      }
+      
       // Try to get melt curve result file (best source for HRM data)
       const meltResultFile = zip.file('apldbio/sds/meltcuve_result.txt');
       
       if (meltResultFile) {
         const meltText = await meltResultFile.async('text');
-        return this.parseMeltCurveResult(meltText);
+        
+        // Per-dye signals let the user pick a channel other than the instrument Rn
+        const multicomponentFile = zip.file('apldbio/sds/multicomponent_data.txt');
+        let multicomponent = null;
+        if (multicomponentFile) {
+          try {
+            multicomponent = this.parseMulticomponentData(await multicomponentFile.async('text'));
+          } catch (error) {
+            console.warn('Could not read multicomponent data:', error);
+          }
+        }
+        
+        return {
+          ...this.parseMeltCurveResult(meltText, plate, multicomponent),
+          amplification,
+          runInfo,
+          temperatureLog
+        };
       }
       
-      throw new Error('No HRM/melt curve data found in this .eds file');
+      // Amplification-only experiment: no melt curves to analyze
+      if (amplification) {
+        return {
+          filename: 'eds_file',
+          headers: ['Temperature'],
+          tempHeader: 'Temperature',
+          data: [],
+          sampleCount: 0,
+          sampleInfo: {},
+          plate: plate ? { rows: plate.rows, columns: plate.columns } : null,
+          amplification,
+          runInfo,
+          temperatureLog
+        };
+      }
+      
+      throw new Error('No HRM/melt curve or amplification data found in this .eds file');
       
     } catch (error) {
       console.error('EDS parsing error:', error);
@@ -47,7 +100,227 @@ export class EDSParser {
     }
   }
 
-  parseMeltCurveResult(meltText) {
+  async parseRunInfo(zip, plate) {
+    const experimentFile = zip.file('apldbio/sds/experiment.xml');
+    const protocolFile = zip.file('apldbio/sds/tcprotocol.xml');
+    
+    const runInfo = {
+      experiment: null,
+      protocol: null,
+      plateType: plate ? plate.name : null
+    };
+    
+    try {
+      if (experimentFile) {
+        runInfo.experiment = this.parseExperiment(await experimentFile.async('text'));
+      }
+      if (protocolFile) {
+        runInfo.protocol = this.parseTCProtocol(await protocolFile.async('text'));
+      }
+    } catch (error) {
+      console.warn('Could not read run metadata:', error);
+    }
+    
+    return runInfo.experiment || runInfo.protocol ? runInfo : null;
+  }
+
+  parseExperiment(xmlText) {
+    const root = parseXML(xmlText, 'experiment.xml');
+    const typeEl = root.getElementsByTagName('Type')[0];
+    
+    return {
+      name: childText(root, 'Name'),
+      operator: childText(root, 'Operator'),
+      instrument: childText(root, 'InstrumentTypeId'),
+      runState: childText(root, 'RunState'),
+      runStart: timestampToISO(childText(root, 'RunStartTime')),
+      runEnd: timestampToISO(childText(root, 'RunEndTime')),
+      experimentType: typeEl ? childText(typeEl, 'Name') : null,
+      chemistry: childText(root, 'ChemistryType'),
+      protocolMode: childText(root, 'TCProtocolMode')
+    };
+  }
+
+  parseTCProtocol(xmlText) {
+    const root = parseXML(xmlText, 'tcprotocol.xml');
+    
+    const stages = Array.from(root.children)
+      .filter(el => el.tagName === 'TCStage')
+      .map(stageEl => ({
+        flag: childText(stageEl, 'StageFlag'),
+        repetitions: parseInt(childText(stageEl, 'NumOfRepetitions')) || 1,
+        steps: Array.from(stageEl.children)
+          .filter(el => el.tagName === 'TCStep')
+          .map(stepEl => ({
+            temperature: parseFloat(childText(stepEl, 'Temperature')),
+            holdTime: parseFloat(childText(stepEl, 'HoldTime')),
+            rampRate: parseFloat(childText(stepEl, 'RampRate')),
+            // 0 = no data collection, 1 = at end of step, 2 = continuously during the ramp (melt)
+            collectionFlag: parseInt(childText(stepEl, 'CollectionFlag')) || 0,
+            type: childText(stepEl, 'Type'),
+            deltaTemperature: parseFloat(childText(stepEl, 'DeltaTemperature')) || null
+          }))
+      }));
+    
+    // The melt ramp is the step collecting data continuously
+    let meltStep = null;
+    stages.forEach(stage => {
+      stage.steps.forEach(step => {
+        if (!meltStep && (step.collectionFlag === 2 || step.type === 'Dissociation')) {
+          meltStep = step;
+        }
+      });
+    });
+    
+    return {
+      blockId: childText(root, 'BlockID'),
+      runMode: childText(root, 'RunMode'),
+      sampleVolume: parseFloat(childText(root, 'SampleVolume')) || null,
+      coverTemperature: parseFloat(childText(root, 'CoverTemperature')) || null,
+      meltRampRate: meltStep ? meltStep.rampRate : null,
+      meltStepSize: meltStep ? meltStep.deltaTemperature : null,
+      stages
+    };
+  }
+
+  parsePlateSetup(xmlText) {
+    const plateEl = parseXML(xmlText, 'plate_setup.xml');
+    const passiveReference = childText(plateEl, 'PassiveReferenceDye');
+    const plateKind = plateEl.getElementsByTagName('PlateKind')[0];
+    const name = plateKind ? childText(plateKind, 'Name') : null;
+    const rows = parseInt(childText(plateEl, 'Rows')) || 8;
+    const columns = parseInt(childText(plateEl, 'Columns')) || 12;
+    const wells = new Map();
+    
+    const getWell = (index) => {
+      if (!wells.has(index)) {
+        wells.set(index, {
+          well: wellIndexToId(index, columns),
+          wellIndex: index,
+          sampleName: null,
+          color: null,
+          task: null,
+          detectors: []
+        });
+      }
+      return wells.get(index);
+    };
+    
+    // Each FeatureMap holds one feature (sample, detector-task, ...) keyed by well index
+    Array.from(plateEl.getElementsByTagName('FeatureMap')).forEach(featureMap => {
+      const feature = featureMap.getElementsByTagName('Feature')[0];
+      const featureId = feature ? childText(feature, 'Id') : null;
+      
+      Array.from(featureMap.getElementsByTagName('FeatureValue')).forEach(featureValue => {
+        const index = parseInt(childText(featureValue, 'Index'));
+        if (isNaN(index)) return;
+        
+        const item = featureValue.getElementsByTagName('FeatureItem')[0];
+        if (!item) return;
+        
+        const well = getWell(index);
+        
+        if (featureId === 'sample') {
+          const sample = item.getElementsByTagName('Sample')[0];
+          if (sample) {
+            well.sampleName = childText(sample, 'Name');
+            well.color = argbToHex(childText(sample, 'Color'));
+          }
+        } else if (featureId === 'detector-task' || featureId === 'marker-task') {
+          Array.from(item.getElementsByTagName('Task')).forEach(taskEl => {
+            const taskParent = taskEl.parentNode;
+            const detector = taskParent.getElementsByTagName('Detector')[0] ||
+              taskParent.getElementsByTagName('Marker')[0];
+            
+            well.detectors.push({
+              task: taskEl.textContent.trim(),
+              name: detector ? childText(detector, 'Name') : null,
+              reporter: detector ? childText(detector, 'Reporter') : null
+            });
+          });
+          
+          if (!well.task && well.detectors.length > 0) {
+            well.task = well.detectors[0].task;
+          }
+        }
+      });
+    });
+    
+    console.log(`Parsed plate setup: ${rows}x${columns}, ${wells.size} wells defined`);
+    return {
+      name,
+      rows,
+      columns,
+      wells,
+      passiveReference: passiveReference && passiveReference !== 'NULL' ? passiveReference : null
+    };
+  }
+
+  // Tab-separated log: Timestamp (ms) followed by one column per sensor (Sample, Block, Cover, ...)
+  parseTemperatureLog(text) {
+    const lines = text.split(/\r?\n/).filter(line => line.trim());
+    if (lines.length < 2) return null;
+    
+    const columns = lines[0].split('\t').map(name => name.trim()).slice(1);
+    const timestamps = [];
+    const series = {};
+    columns.forEach(name => { series[name] = []; });
+    
+    lines.slice(1).forEach(line => {
+      const values = line.split('\t').map(parseFloat);
+      const readings = values.slice(1, columns.length + 1);
+      
+      // Skip malformed rows and the all-zero record written when the run ends
+      if (isNaN(values[0]) || readings.length < columns.length || readings.some(isNaN)) return;
+      if (readings.every(value => value === 0)) return;
+      
+      timestamps.push(values[0]);
+      columns.forEach((name, i) => series[name].push(readings[i]));
+    });
+    
+    if (timestamps.length === 0) return null;
+    
+    console.log(`Parsed temperature log: ${timestamps.length} readings of ${columns.join(', ')}`);
+    
+    return {
+      start: timestampToISO(String(timestamps[0])),
+      // Seconds since the first reading
+      time: timestamps.map(ts => (ts - timestamps[0]) / 1000),
+      columns,
+      series
+    };
+  }
+
+  parseMulticomponentData(text) {
+    // Records are "WELL CYCLE DYE MSE SIGNAL PURE_DYE_DATA..." but the export wraps
+    // and concatenates lines, so scan whitespace-separated tokens for record starts
+    const tokens = text.split(/\s+/);
+    const signals = new Map();
+    const dyes = [];
+    
+    for (let i = 0; i + 4 < tokens.length; i++) {
+      if (!INT_TOKEN.test(tokens[i]) || !INT_TOKEN.test(tokens[i + 1]) || !isDyeToken(tokens[i + 2])) {
+        continue;
+      }
+      
+      const wellNumber = parseInt(tokens[i]);
+      const dye = tokens[i + 2];
+      const signal = parseFloat(tokens[i + 4]);
+      
+      if (!signals.has(wellNumber)) signals.set(wellNumber, new Map());
+      const wellSignals = signals.get(wellNumber);
+      if (!wellSignals.has(dye)) wellSignals.set(dye, []);
+      wellSignals.get(dye).push(signal);
+      
+      if (!dyes.includes(dye)) dyes.push(dye);
+      i += 4;
+    }
+    
+    console.log(`Parsed multicomponent data: ${signals.size} wells, dyes ${dyes.join(', ')}`);
+    return { dyes, signals };
+  }
+
+  parseMeltCurveResult(meltText, plate = null, multicomponent = null) {
     const samples = [];
     // Normalize line endings and split
     const lines = meltText.replace(/\r\n/g, '\n').replace(/\r/g, '\n').split('\n');
@@ -144,7 +417,82 @@ export class EDSParser {
     }
     
     console.log(`Parsed ${samples.length} samples from EDS file`);
-    return this.formatForHRMAnalyzer(samples);
+    return {
+      ...this.formatForHRMAnalyzer(samples, plate, multicomponent),
+      // Kept so another detector panel or dye channel can be formatted later
+      meltSource: { samples, plate, multicomponent }
+    };
+  }
+
+  parseAnalysisResult(resultText, plate = null) {
+    const lines = resultText.replace(/\r\n/g, '\n').replace(/\r/g, '\n').split('\n');
+    const wells = [];
+    let columns = null;
+    let currentWell = null;
+    
+    for (const line of lines) {
+      if (!line.trim() || line.startsWith('Session Name')) continue;
+      
+      // Column header: "Well  Sample Name  Detector  Task  Ct  Avg Ct ..."
+      if (line.startsWith('Well\t')) {
+        columns = line.split('\t').map(col => col.trim());
+        continue;
+      }
+      
+      if (line.startsWith('Rn values\t') && currentWell) {
+        currentWell.rn = this.parseTabValues(line.substring('Rn values\t'.length));
+        continue;
+      }
+      
+      if (line.startsWith('Delta Rn values\t') && currentWell) {
+        currentWell.deltaRn = this.parseTabValues(line.substring('Delta Rn values\t'.length));
+        continue;
+      }
+      
+      const fields = line.split('\t');
+      if (/^\d+$/.test(fields[0])) {
+        const ctIdx = columns ? columns.indexOf('Ct') : 4;
+        const ct = parseFloat(fields[ctIdx]);
+        
+        currentWell = {
+          wellNumber: parseInt(fields[0]),
+          sampleName: fields[1] || '',
+          detector: fields[2] || '',
+          task: fields[3] || '',
+          instrumentCt: isNaN(ct) ? null : ct, // "Undetermined" when no amplification
+          rn: [],
+          deltaRn: []
+        };
+        wells.push(currentWell);
+      }
+    }
+    
+    const withData = wells.filter(w => w.rn.length > 0);
+    if (withData.length === 0) return null;
+    
+    const maxWell = Math.max(...withData.map(w => w.wellNumber));
+    const plateColumns = plate ? plate.columns : plateColumnsForWellCount(maxWell + 1);
+    const cycleCount = Math.max(...withData.map(w => w.rn.length));
+    
+    console.log(`Parsed amplification data for ${withData.length} wells, ${cycleCount} cycles`);
+    
+    return {
+      cycles: Array.from({ length: cycleCount }, (_, i) => i + 1),
+      wells: withData.map(w => {
+        const wellSetup = plate ? plate.wells.get(w.wellNumber) : null;
+        const detectorSetup = wellSetup
+          ? wellSetup.detectors.find(d => d.name === w.detector) || wellSetup.detectors[0]
+          : null;
+        
+        return {
+          ...w,
+          well: wellIndexToId(w.wellNumber, plateColumns),
+          sampleName: (wellSetup && wellSetup.sampleName) || w.sampleName,
+          plateColor: wellSetup ? wellSetup.color : null,
+          task: detectorSetup ? detectorSetup.task : w.task
+        };
+      })
+    };
   }
 
   parseTabValues(str) {
@@ -164,48 +512,173 @@ export class EDSParser {
     return values;
   }
 
-  formatForHRMAnalyzer(samples) {
-    // Use the first sample's temperatures as the reference
-    const refTemps = samples[0].temperatures;
+  formatForHRMAnalyzer(allSamples, plate = null, multicomponent = null, options = {}) {
+    // One detector panel at a time: multiplexed wells are not merged into one sample list
+    const detectors = [...new Set(allSamples.map(s => s.detector))];
+    const detector = detectors.includes(options.detector) ? options.detector : detectors[0];
+    
+    const dyes = multicomponent ? multicomponent.dyes : [];
+    const channel = dyes.includes(options.channel) ? options.channel : 'rn';
+    const passiveReference = (plate && plate.passiveReference) || (dyes.includes('ROX') ? 'ROX' : null);
+    // Wells of the panel without a reference trace: normalizing only the others would mix units on one
+    // plate, so normalization is then left off for all of them
+    const referenceMissing = channel !== 'rn' && passiveReference && channel !== passiveReference
+      ? allSamples
+        .filter(s => s.detector === detector && !this.hasTrace(s, multicomponent, passiveReference))
+        .map(s => s.wellNumber)
+      : [];
+    const normalizeToReference = !!options.normalizeToReference && channel !== 'rn' &&
+      !!passiveReference && channel !== passiveReference && referenceMissing.length === 0;
+    
+    const samples = allSamples
+      .filter(s => s.detector === detector)
+      .map(s => ({
+        ...s,
+        rnValues: this.getChannelValues(s, multicomponent, channel, normalizeToReference ? passiveReference : null)
+      }))
+      .filter(s => s.rnValues.length > 0);
+    
+    if (samples.length === 0) {
+      throw new Error(`No melt data for detector ${detector} in channel ${channel}`);
+    }
+    
+    // Without a plate setup, infer the layout from the highest well index
+    const maxWell = Math.max(...samples.map(s => s.wellNumber));
+    const columns = plate ? plate.columns : plateColumnsForWellCount(maxWell + 1);
     
-    // Build headers with unique names
-    const headers = ['Temperature'];
+    // Build headers with unique names, prefixed by plate position.
+    // Each well reads its own sample temperatures, so every sample gets its own
+    // temperature column; DataProcessor resamples them onto a common grid.
     const usedNames = new Set();
+    const columnsData = [];
+    const sampleInfo = {};
     
     samples.forEach((s, idx) => {
-      let name = s.sampleName || `Well_${s.wellNumber + 1}`;
+      const wellSetup = plate ? plate.wells.get(s.wellNumber) : null;
+      const well = wellIndexToId(s.wellNumber, columns);
+      const sampleName = (wellSetup && wellSetup.sampleName) || s.sampleName || '';
       
-      // Ensure unique names
+      let name = sampleName ? `${well} ${sampleName}` : well;
+      
+      // Ensure unique names (several detectors can share a well)
       if (usedNames.has(name)) {
         name = `${name}_${idx + 1}`;
       }
       usedNames.add(name);
-      headers.push(name);
-    });
-    
-    // Build data rows - align all samples to reference temperatures
-    const data = [];
-    
-    for (let i = 0; i < refTemps.length; i++) {
-      const row = { Temperature: refTemps[i] };
+      // Rn values (raw fluorescence) are better for HRM analysis than ΔRn
+      columnsData.push({ name, temperatures: s.temperatures, values: s.rnValues });
       
-      samples.forEach((s, idx) => {
-        const colName = headers[idx + 1]; // +1 to skip Temperature header
-        // Use Rn values (raw fluorescence) - better for HRM analysis
-        row[colName] = s.rnValues[i] !== undefined ? s.rnValues[i] : null;
-      });
+      // Match the plate detector for this curve, falling back to the well's first task
+      const detectorSetup = wellSetup
+        ? wellSetup.detectors.find(d => d.name === s.detector) || wellSetup.detectors[0]
+        : null;
       
-      data.push(row);
-    }
+      sampleInfo[name] = {
+        well,
+        wellIndex: s.wellNumber,
+        sampleName,
+        plateColor: wellSetup ? wellSetup.color : null,
+        task: detectorSetup ? detectorSetup.task : (wellSetup && wellSetup.task) || s.task,
+        detector: s.detector,
+        reporter: detectorSetup ? detectorSetup.reporter : null,
+        // Instrument's own melt analysis, kept for validation against ours
+        instrumentTm: s.tmValues
+          .split(',')
+          .map(v => parseFloat(v))
+          .filter(v => !isNaN(v)),
+        instrumentDerivative: s.deltaRnValues.length > 0
+          ? { temperatures: s.deltaRnTemperatures, values: s.deltaRnValues }
+          : null
+      };
+    });
+    
+    const { headers, tempHeader, sampleTemperatureHeaders, data } = buildPairedColumns(columnsData);
     
-    console.log(`Formatted ${samples.length} samples with ${refTemps.length} temperature points`);
+    console.log(`Formatted ${samples.length} samples with up to ${data.length} temperature points`);
     
     return {
       filename: 'eds_file',
       headers: headers,
-      tempHeader: 'Temperature',
+      tempHeader: tempHeader,
+      sampleTemperatureHeaders: sampleTemperatureHeaders,
       data: data,
-      sampleCount: samples.length
+      sampleCount: samples.length,
+      sampleInfo: sampleInfo,
+      plate: plate ? { rows: plate.rows, columns: plate.columns } : null,
+      meltChannels: {
+        detectors,
+        dyes,
+        passiveReference,
+        referenceMissing: referenceMissing.map(wellNumber => wellIndexToId(wellNumber, columns)),
+        selected: { detector, channel, normalizeToReference }
+      }
     };
   }
+
+  // Fluorescence of one well for the selected channel: instrument Rn, or a raw dye signal
+  getChannelValues(sample, multicomponent, channel, passiveReference = null) {
+    if (channel === 'rn' || !multicomponent) return sample.rnValues;
+    
+    if (!this.hasTrace(sample, multicomponent, channel)) return [];
+    const wellSignals = multicomponent.signals.get(sample.wellNumber);
+    const count = sample.temperatures.length;
+    
+    // The melt stage is recorded last, after any amplification cycles
+    const values = wellSignals.get(channel).slice(-count);
+    
+    if (passiveReference) {
+      if (!this.hasTrace(sample, multicomponent, passiveReference)) return [];
+      const reference = wellSignals.get(passiveReference).slice(-count);
+      return values.map((value, i) => reference[i] ? value / reference[i] : null);
+    }
+    
+    return values;
+  }
+
+  // Whether the well has a dye signal covering its melt readings
+  hasTrace(sample, multicomponent, dye) {
+    const wellSignals = multicomponent ? multicomponent.signals.get(sample.wellNumber) : null;
+    const values = wellSignals ? wellSignals.get(dye) : null;
+    return !!values && values.length >= sample.temperatures.length;
+  }
+}
+
+const INT_TOKEN = /^\d+$/;
+
+// Dye names are non-numeric tokens ("FAM", "ROX", "Cy5"); "NaN" fills empty MSE fields
+function isDyeToken(token) {
+  return token !== '' && token !== 'NaN' && isNaN(parseFloat(token)) &&
+    !['WELL', 'CYCLE', 'DYE', 'LIST', 'MSE', 'SIGNAL', 'DATA', 'PURE_DYE_DATA'].includes(token);
+}
+
+// Parse an XML document and return its root element
+function parseXML(xmlText, label) {
+  const doc = new DOMParser().parseFromString(xmlText, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length > 0) {
+    throw new Error(`${label} is not valid XML`);
+  }
+  return doc.documentElement;
+}
+
+// Text content of the first direct child element with the given tag name
+function childText(parent, tagName) {
+  for (const child of Array.from(parent.children)) {
+    if (child.tagName === tagName) {
+      return child.textContent.trim();
+    }
+  }
+  return null;
+}
+
+// Run times are stored as milliseconds since the epoch
+function timestampToISO(value) {
+  const ms = parseInt(value);
+  return isNaN(ms) ? null : new Date(ms).toISOString();
+}
+
+// Applied Biosystems stores colors as signed 32-bit ARGB integers
+function argbToHex(value) {
+  const argb = parseInt(value);
+  if (isNaN(argb)) return null;
+  return '#' + ((argb >>> 0) & 0xFFFFFF).toString(16).padStart(6, '0');
 }
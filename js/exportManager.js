@@ -1,14 +1,29 @@
 // Export Manager Module
-import { downloadCSV, showToast } from './utils.js';
+import { downloadCSV, showToast, loadJSZip } from './utils.js';
+import { describeRunInfo, summarizeRunInfo, describeRuns, summarizeRuns } from './runInfoPanel.js';
+import { RDML_SAMPLE_TYPES } from './rdmlParser.js';
+import { SAMPLE_SHEET_FIELDS } from './sampleSheet.js';
+
+const RDML_NAMESPACE = 'http://www.rdml.org';
 
 export class ExportManager {
-  constructor(dataProcessor, chartManager) {
+  constructor(dataProcessor, chartManager, amplificationProcessor, temperatureQC) {
     this.dataProcessor = dataProcessor;
     this.chartManager = chartManager;
+    this.amplificationProcessor = amplificationProcessor;
+    this.temperatureQC = temperatureQC;
+    this.runInfo = null;
+    this.loadedData = null;
     this.setupEventListeners();
   }
 
   setupEventListeners() {
+    // Keep run metadata of the loaded file for every export
+    window.addEventListener('dataLoaded', (e) => {
+      this.runInfo = e.detail.runInfo || null;
+      this.loadedData = e.detail;
+    });
+
     // Export all results
     const exportBtn = document.getElementById('exportBtn');
     if (exportBtn) {
@@ -21,6 +36,30 @@ export class ExportManager {
       exportDataBtn.addEventListener('click', () => this.exportData());
     }
 
+    // Export sample summary
+    const exportSamplesBtn = document.getElementById('exportSamplesBtn');
+    if (exportSamplesBtn) {
+      exportSamplesBtn.addEventListener('click', () => this.exportSamples());
+    }
+
+    // Export replicate group summary
+    const exportReplicatesBtn = document.getElementById('exportReplicatesBtn');
+    if (exportReplicatesBtn) {
+      exportReplicatesBtn.addEventListener('click', () => this.exportReplicates());
+    }
+
+    // Export RDML (raw fluorescence, annotations and results)
+    const exportRDMLBtn = document.getElementById('exportRDMLBtn');
+    if (exportRDMLBtn) {
+      exportRDMLBtn.addEventListener('click', () => this.exportRDML());
+    }
+
+    // Export amplification results
+    const exportAmplificationBtn = document.getElementById('exportAmplificationBtn');
+    if (exportAmplificationBtn) {
+      exportAmplificationBtn.addEventListener('click', () => this.exportAmplification());
+    }
+
     // Export individual charts
     document.querySelectorAll('[data-export]').forEach(btn => {
       btn.addEventListener('click', (e) => {
@@ -31,7 +70,7 @@ export class ExportManager {
   }
 
   exportData() {
-    const data = this.dataProcessor.exportProcessedData();
+    const data = this.withMetadata(this.dataProcessor.exportProcessedData());
     if (!data) {
       showToast('No data', 'No processed data available to export', 'error');
       return;
@@ -42,22 +81,288 @@ export class ExportManager {
     showToast('Exported', `Data saved as ${filename}`, 'success');
   }
 
+  exportSamples() {
+    const data = this.withMetadata(this.dataProcessor.exportSampleSummary());
+    if (!data) {
+      showToast('No data', 'No samples available to export', 'error');
+      return;
+    }
+
+    const filename = `hrm_samples_${new Date().toISOString().slice(0, 10)}.csv`;
+    downloadCSV(data, filename);
+    showToast('Exported', `Sample summary saved as ${filename}`, 'success');
+  }
+
+  exportReplicates() {
+    const data = this.dataProcessor.exportReplicateSummary();
+    if (!data || data.length < 2) {
+      showToast('No data', 'No replicate groups available to export', 'error');
+      return;
+    }
+
+    const filename = `hrm_replicates_${new Date().toISOString().slice(0, 10)}.csv`;
+    downloadCSV(this.withMetadata(data), filename);
+    showToast('Exported', `Replicate summary saved as ${filename}`, 'success');
+  }
+
+  exportAmplification() {
+    const data = this.withMetadata(this.amplificationProcessor.exportResults());
+    if (!data) {
+      showToast('No data', 'No amplification results available to export', 'error');
+      return;
+    }
+
+    const filename = `hrm_amplification_${new Date().toISOString().slice(0, 10)}.csv`;
+    downloadCSV(data, filename);
+    showToast('Exported', `Amplification results saved as ${filename}`, 'success');
+  }
+
+  // Prefix CSV rows with "# label, value" lines for run metadata and processing steps
+  withMetadata(rows) {
+    if (!rows) return rows;
+
+    const metadata = [
+      ...this.runMetadata(),
+      ...this.temperatureQC.describe(),
+      ...this.dataProcessor.getProcessingLog()
+    ].map(([label, value]) => [`# ${label}`, value]);
+
+    return metadata.length > 0 ? [...metadata, [], ...rows] : rows;
+  }
+
+  // Run metadata rows: the loaded file's, or every run's when several files were loaded as one experiment
+  runMetadata() {
+    return this.loadedData && this.loadedData.runs ? describeRuns(this.loadedData.runs) : describeRunInfo(this.runInfo);
+  }
+
+  runSummary() {
+    return this.loadedData && this.loadedData.runs ? summarizeRuns(this.loadedData.runs) : summarizeRunInfo(this.runInfo);
+  }
+
+  async exportRDML() {
+    const xml = this.buildRDML();
+    if (!xml) {
+      showToast('No data', 'No analyzed data available to export', 'error');
+      return;
+    }
+
+    // .rdml files are ZIP archives holding rdml_data.xml
+    const JSZip = await loadJSZip();
+    const zip = new JSZip();
+    zip.file('rdml_data.xml', xml);
+    const blob = await zip.generateAsync({ type: 'blob', compression: 'DEFLATE' });
+
+    const filename = `hrm_analysis_${new Date().toISOString().slice(0, 10)}.rdml`;
+    saveAs(blob, filename);
+    showToast('Exported', `RDML saved as ${filename}`, 'success');
+  }
+
+  // RDML 1.3 document for the loaded plate, or one run per plate of a multi-file experiment: raw melt and
+  // amplification curves with our Tm and Cq
+  buildRDML() {
+    const processed = this.dataProcessor.getProcessedData();
+    const ampRaw = this.amplificationProcessor.rawData;
+    const ampResults = this.amplificationProcessor.getResults();
+    if (!processed && !ampResults) return null;
+
+    const rawSeries = new Map(this.dataProcessor.getRawSeries().map(series => [series.name, series]));
+    const meltSamples = processed ? processed.samples : [];
+    const ampWells = ampResults ? ampResults.wells : [];
+
+    const merged = this.loadedData && this.loadedData.runs;
+    const runs = (merged || [{ label: null, plate: this.loadedData && this.loadedData.plate, runInfo: this.runInfo }])
+      .map((run, runIndex) => {
+        const melt = meltSamples.filter(sample => (sample.runIndex || 0) === runIndex);
+        const amp = ampWells.filter(well => (well.runIndex || 0) === runIndex);
+        // Reactions by plate position; files without positions are numbered in order
+        const positioned = melt.every(sample => Number.isInteger(sample.wellIndex)) &&
+          amp.every(well => Number.isInteger(well.wellNumber));
+        return { ...run, melt, amp, positioned, reactions: new Map() };
+      });
+
+    const reactionFor = (run, position, fallback, sampleId) => {
+      const key = run.positioned ? position : fallback;
+      if (!run.reactions.has(key)) {
+        run.reactions.set(key, { id: key + 1, sample: sampleId, data: new Map() });
+      }
+      return run.reactions.get(key);
+    };
+    const dataFor = (reaction, target) => {
+      if (!reaction.data.has(target)) {
+        reaction.data.set(target, { target, cq: null, meltTemp: null, adp: null, mdp: null });
+      }
+      return reaction.data.get(target);
+    };
+
+    const sampleTypes = new Map();
+    const targetDyes = new Map();
+    const annotations = new Map();
+    const register = (sampleId, task, target, dye, sampleAnnotations) => {
+      if (!sampleTypes.has(sampleId)) sampleTypes.set(sampleId, rdmlSampleType(task));
+      if (!targetDyes.has(target)) targetDyes.set(target, dye || 'unknown');
+      if (sampleAnnotations && !annotations.has(sampleId)) annotations.set(sampleId, sampleAnnotations);
+    };
+
+    runs.forEach(run => {
+      run.melt.forEach((sample, idx) => {
+        // Scoped by run like the amplification wells, so the same name on two plates stays two samples
+        const sampleId = sample.sampleName && run.label ? `${run.label}: ${sample.sampleName}` : sample.sampleName || sample.name;
+        const target = sample.detector || 'melt';
+        register(sampleId, sample.task, target, sample.reporter, sampleAnnotations(sample));
+
+        const data = dataFor(reactionFor(run, sample.wellIndex, idx, sampleId), target);
+        const raw = rawSeries.get(sample.name);
+        data.mdp = raw ? raw.temperatures.map((t, i) => [t, raw.fluorescence[i]]) : null;
+        data.meltTemp = sample.tm !== undefined && sample.tm !== null ? sample.tm : null;
+        data.excluded = sample.visible === false;
+      });
+
+      run.amp.forEach((well, idx) => {
+        const sampleId = well.sampleName || well.well;
+        const target = well.detector || 'melt';
+        register(sampleId, well.task, target, null, null);
+
+        const data = dataFor(reactionFor(run, well.wellNumber, run.melt.length + idx, sampleId), target);
+        const rawWell = ampRaw.wells.find(w => w.wellNumber === well.wellNumber && w.detector === well.detector &&
+          (w.runIndex || 0) === (well.runIndex || 0)) || well;
+        data.adp = ampResults.cycles.map((cycle, i) => [cycle, rawWell.rn[i]]).filter(([, fluor]) => fluor !== null);
+        data.cq = well.cq;
+      });
+    });
+
+    const doc = document.implementation.createDocument(RDML_NAMESPACE, 'rdml', null);
+    const root = doc.documentElement;
+    root.setAttribute('version', '1.3');
+    appendElement(root, 'dateMade', new Date().toISOString());
+
+    [...new Set(targetDyes.values())].forEach(dye => {
+      appendElement(root, 'dye', null, { id: dye });
+    });
+
+    sampleTypes.forEach((type, sampleId) => {
+      const sampleEl = appendElement(root, 'sample', null, { id: sampleId });
+      Object.entries(annotations.get(sampleId) || {}).forEach(([property, value]) => {
+        const annotationEl = appendElement(sampleEl, 'annotation');
+        appendElement(annotationEl, 'property', property);
+        appendElement(annotationEl, 'value', value);
+      });
+      appendElement(sampleEl, 'type', type);
+    });
+
+    targetDyes.forEach((dye, target) => {
+      const targetEl = appendElement(root, 'target', null, { id: target });
+      appendElement(targetEl, 'type', 'toi');
+      appendElement(targetEl, 'dyeId', null, { id: dye });
+    });
+
+    const experiment = !merged && this.runInfo && this.runInfo.experiment ? this.runInfo.experiment : {};
+    const experimentEl = appendElement(root, 'experiment', null, {
+      id: experiment.name || (this.loadedData && this.loadedData.filename) || 'HRM Analyzer'
+    });
+
+    // Processing steps, so other tools can tell how Tm was obtained
+    const log = this.dataProcessor.getProcessingLog().map(([label, value]) => `${label}: ${value}`);
+
+    runs.forEach((run, runIndex) => {
+      const runExperiment = run.runInfo && run.runInfo.experiment ? run.runInfo.experiment : {};
+      const runEl = appendElement(experimentEl, 'run', null, { id: run.label || `Run ${runIndex + 1}` });
+
+      if (log.length > 0) appendElement(runEl, 'description', log.join('; '));
+      if (runExperiment.instrument) appendElement(runEl, 'instrument', runExperiment.instrument);
+
+      const softwareEl = appendElement(runEl, 'dataCollectionSoftware');
+      appendElement(softwareEl, 'name', 'HRM Analyzer');
+      appendElement(softwareEl, 'version', '1.0');
+
+      const plate = run.positioned ? run.plate : null;
+      const formatEl = appendElement(runEl, 'pcrFormat');
+      appendElement(formatEl, 'rows', plate ? plate.rows : 1);
+      appendElement(formatEl, 'columns', plate ? plate.columns : run.reactions.size);
+      appendElement(formatEl, 'rowLabel', plate ? 'ABC' : '123');
+      appendElement(formatEl, 'columnLabel', '123');
+      if (runExperiment.runStart) appendElement(runEl, 'runDate', runExperiment.runStart);
+
+      [...run.reactions.values()]
+        .sort((a, b) => a.id - b.id)
+        .forEach(reaction => {
+          const reactEl = appendElement(runEl, 'react', null, { id: reaction.id });
+          appendElement(reactEl, 'sample', null, { id: reaction.sample });
+
+          reaction.data.forEach(data => {
+            const dataEl = appendElement(reactEl, 'data');
+            appendElement(dataEl, 'tar', null, { id: data.target });
+            if (data.cq !== null) appendElement(dataEl, 'cq', data.cq);
+            if (data.meltTemp !== null) appendElement(dataEl, 'meltTemp', data.meltTemp);
+            if (data.excluded) appendElement(dataEl, 'excl', 'Hidden in HRM Analyzer');
+            (data.adp || []).forEach(([cycle, fluor]) => {
+              const adpEl = appendElement(dataEl, 'adp');
+              appendElement(adpEl, 'cyc', cycle);
+              appendElement(adpEl, 'fluor', fluor);
+            });
+            (data.mdp || []).forEach(([tmp, fluor]) => {
+              const mdpEl = appendElement(dataEl, 'mdp');
+              appendElement(mdpEl, 'tmp', tmp);
+              appendElement(mdpEl, 'fluor', fluor);
+            });
+          });
+        });
+    });
+
+    return '<?xml version="1.0" encoding="UTF-8"?>\n' + new XMLSerializer().serializeToString(doc);
+  }
+
   exportChart(chartName) {
-    this.chartManager.exportChart(chartName);
+    this.chartManager.exportChart(chartName, this.runSummary());
     showToast('Exported', `${chartName} chart saved as PNG`, 'success');
   }
 
   exportAll() {
     // Export data
-    this.exportData();
+    if (this.dataProcessor.getProcessedData()) {
+      this.exportData();
+      this.exportSamples();
+    }
+    const replicateGroups = this.dataProcessor.getProcessedData() && this.dataProcessor.getProcessedData().replicateGroups;
+    if (replicateGroups && replicateGroups.length > 0) {
+      this.exportReplicates();
+    }
+    if (this.amplificationProcessor.getResults()) {
+      this.exportAmplification();
+    }
+    if (this.dataProcessor.getProcessedData() || this.amplificationProcessor.getResults()) {
+      this.exportRDML();
+    }
 
     // Export all charts
-    ['raw', 'normalized', 'derivative', 'difference'].forEach(chartName => {
+    ['raw', 'normalized', 'derivative', 'difference', 'amplification', 'temperature'].forEach(chartName => {
       setTimeout(() => {
-        this.chartManager.exportChart(chartName);
+        this.chartManager.exportChart(chartName, this.runSummary());
       }, 100);
     });
 
     showToast('Export complete', 'All data and charts exported', 'success');
   }
 }
+
+// Task names from plate setups map back to RDML sample types
+function rdmlSampleType(task) {
+  const entry = Object.entries(RDML_SAMPLE_TYPES).find(([, name]) => name === task);
+  return entry ? entry[0] : 'unkn';
+}
+
+// Imported RDML annotations plus sample sheet fields
+function sampleAnnotations(sample) {
+  const annotations = { ...(sample.annotations || {}) };
+  SAMPLE_SHEET_FIELDS.forEach(({ key, label }) => {
+    if (sample[key]) annotations[label] = sample[key];
+  });
+  return Object.keys(annotations).length > 0 ? annotations : null;
+}
+
+function appendElement(parent, name, value = null, attributes = {}) {
+  const el = parent.ownerDocument.createElementNS(RDML_NAMESPACE, name);
+  Object.entries(attributes).forEach(([key, attr]) => el.setAttribute(key, attr));
+  if (value !== null && value !== undefined) el.textContent = String(value);
+  parent.appendChild(el);
+  return el;
+}
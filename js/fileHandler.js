@@ -1,12 +1,22 @@
 // File Handler Module
-import { showToast, showLoading, getFileExtension, validateCSVData } from './utils.js';
+import { showToast, showLoading, columnSeries, buildPairedColumns } from './utils.js';
 import { EDSParser } from './edsParser.js';
+import { RDMLParser } from './rdmlParser.js';
+import { ImporterRegistry } from './importerRegistry.js';
+import { cfxImporter, lightCyclerImporter, rotorGeneImporter } from './instrumentImporters.js';
+import { ImportWizard } from './importWizard.js';
+import { XLSXReader } from './xlsxReader.js';
 
 export class FileHandler {
   constructor() {
     this.files = [];
     this.parsedData = null;
     this.edsParser = new EDSParser();
+    this.rdmlParser = new RDMLParser();
+    this.xlsxReader = new XLSXReader();
+    this.importers = new ImporterRegistry();
+    this.importWizard = new ImportWizard();
+    this.registerImporters();
     this.setupEventListeners();
   }
 
@@ -41,6 +51,46 @@ export class FileHandler {
     });
   }
 
+  registerImporters() {
+    // Applied Biosystems .eds (ZIP archive with apldbio/sds/ entries)
+    this.importers.register({
+      id: 'eds',
+      label: 'Applied Biosystems .eds',
+      detect: ({ isZip, extension, head }) => isZip && (extension === 'eds' || head.includes('apldbio/')),
+      parse: file => this.edsParser.parseEDSFile(file)
+    });
+
+    // RDML: zipped rdml_data.xml, or the plain XML document
+    this.importers.register({
+      id: 'rdml',
+      label: 'RDML',
+      detect: ({ isZip, extension, head }) => isZip
+        ? extension === 'rdml' || head.includes('rdml_data.xml')
+        : /<(\w+:)?rdml[\s>]/.test(head),
+      parse: file => this.rdmlParser.parseRDMLFile(file)
+    });
+
+    // Excel workbook: worksheets go through the import wizard like text tables
+    this.importers.register({
+      id: 'xlsx',
+      label: 'Excel workbook',
+      detect: ({ isZip, extension, head }) => isZip && (extension === 'xlsx' || head.includes('xl/workbook.xml')),
+      parse: file => this.parseWorkbookFile(file)
+    });
+
+    this.importers.register(cfxImporter);
+    this.importers.register(lightCyclerImporter);
+    this.importers.register(rotorGeneImporter);
+
+    // Any other table: the import wizard maps its columns
+    this.importers.register({
+      id: 'csv',
+      label: 'CSV/TSV',
+      detect: ({ isZip, extension }) => !isZip && ['csv', 'tsv', 'txt'].includes(extension),
+      parse: file => this.parseTableFile(file)
+    });
+  }
+
   async handleFiles(fileList) {
     const files = Array.from(fileList);
     
@@ -49,108 +99,216 @@ export class FileHandler {
       return;
     }
 
-    // Validate file types
-    const validFiles = files.filter(file => {
-      const ext = getFileExtension(file.name);
-      return ['csv', 'tsv', 'txt', 'eds'].includes(ext);
-    });
+    try {
+      if (files.length === 1) {
+        await this.loadFile(files[0]);
+        return;
+      }
 
-    if (validFiles.length === 0) {
-      showToast('Invalid files', 'Please upload CSV, TSV, TXT, or EDS files', 'error');
-      return;
+      // Several plates: read every file, then combine them into one experiment
+      const datasets = [];
+      for (const file of files) {
+        try {
+          datasets.push(await this.readFile(file));
+        } catch (error) {
+          showToast('File skipped', `${file.name}: ${error.message}`, 'warning');
+        }
+      }
+
+      if (datasets.length === 0) {
+        throw new Error('None of the selected files could be read');
+      }
+
+      this.setParsedData(datasets.length === 1 ? datasets[0] : this.mergeRuns(datasets));
+    } catch (error) {
+      showLoading(false);
+      if (error.cancelled) {
+        showToast('Import cancelled', `${files[0].name} was not loaded`, 'info');
+        return;
+      }
+      showToast('Error', error.message, 'error');
+    }
+  }
+
+  async loadFile(file) {
+    return this.setParsedData(await this.readFile(file));
+  }
+
+  async readFile(file) {
+    showLoading(true, `Reading ${file.name}...`);
+
+    // Detect the format from the file content rather than its extension
+    const importer = await this.importers.detect(file);
+    if (!importer) {
+      throw new Error(`Unrecognized file format: ${file.name}. Supported: ${this.importers.getLabels().join(', ')}`);
     }
 
-    if (validFiles.length < files.length) {
-      showToast('Some files skipped', `${files.length - validFiles.length} files were not CSV/TSV format`, 'warning');
+    showLoading(true, `Parsing ${importer.label} file...`);
+    const parsedData = await importer.parse(file);
+    // Files holding several plates (RDML runs) are read one plate at a time
+    if (parsedData.skippedRuns && parsedData.skippedRuns.length > 0) {
+      showToast(
+        'Runs not read',
+        `${file.name} holds ${parsedData.skippedRuns.length + 1} runs; only ${parsedData.runInfo.experiment.name} was read. ` +
+        `Not read: ${parsedData.skippedRuns.join(', ')}`,
+        'warning'
+      );
     }
 
-    showLoading(true, 'Reading files...');
+    return {
+      ...parsedData,
+      filename: file.name,
+      format: importer.label
+    };
+  }
 
-    try {
-      // For now, we'll process the first file
-      // TODO: Support multiple files
-      const file = validFiles[0];
-      const ext = getFileExtension(file.name);
-      
-      if (ext === 'eds') {
-        await this.parseEDSFile(file);
-      } else {
-        await this.parseCSVFile(file);
-      }
-      
-      if (validFiles.length > 1) {
-        showToast('Multiple files', 'Currently processing first file only. Multi-file support coming soon!', 'info');
+  setParsedData(parsedData) {
+    this.parsedData = parsedData;
+
+    showLoading(false);
+    if (parsedData.runs) {
+      showToast('Success', `Loaded ${parsedData.runs.length} runs with ${parsedData.sampleCount} samples`, 'success');
+    } else if (parsedData.sampleCount === 0 && parsedData.amplification) {
+      showToast('Success', `Loaded ${parsedData.filename}: amplification data for ${parsedData.amplification.wells.length} wells (no melt curves)`, 'success');
+    } else {
+      showToast('Success', `Loaded ${parsedData.filename} (${parsedData.format}) with ${parsedData.sampleCount} samples`, 'success');
+    }
+    
+    // Trigger data loaded event
+    window.dispatchEvent(new CustomEvent('dataLoaded', { detail: parsedData }));
+    
+    return parsedData;
+  }
+
+  // One experiment from several files. Sample names are scoped by run, and every curve keeps
+  // its own temperatures so DataProcessor aligns runs with different ranges on one grid.
+  mergeRuns(datasets) {
+    const labels = [];
+    datasets.forEach(dataset => {
+      const base = dataset.filename.replace(/\.[^.]+$/, '');
+      let label = base;
+      for (let n = 2; labels.includes(label); n++) {
+        label = `${base} (${n})`;
       }
-    } catch (error) {
-      showToast('Error', error.message, 'error');
-      showLoading(false);
+      labels.push(label);
+    });
+
+    const columnsData = [];
+    const sampleInfo = {};
+
+    datasets.forEach((dataset, runIndex) => {
+      const run = labels[runIndex];
+      const sampleTempHeaders = dataset.sampleTemperatureHeaders || {};
+      const tempHeaders = new Set([dataset.tempHeader, ...Object.values(sampleTempHeaders)]);
+
+      dataset.headers
+        .filter(header => !tempHeaders.has(header))
+        .forEach(header => {
+          const name = `${run}: ${header}`;
+          const { temperatures, values } = columnSeries(dataset.data, sampleTempHeaders[header] || dataset.tempHeader, header);
+          if (values.length === 0) return;
+
+          columnsData.push({ name, temperatures, values });
+          sampleInfo[name] = { ...(dataset.sampleInfo || {})[header], run, runIndex };
+        });
+    });
+
+    const { amplification, skipped } = this.mergeAmplification(datasets, labels);
+    if (skipped.size > 0) {
+      showToast(
+        'Amplification data skipped',
+        `No Cq for the wells of ${[...skipped].map(([runIndex, reason]) => `${labels[runIndex]} (${reason})`).join(', ')}`,
+        'warning'
+      );
     }
+
+    const melt = columnsData.length > 0
+      ? buildPairedColumns(columnsData)
+      : { headers: ['Temperature'], tempHeader: 'Temperature', sampleTemperatureHeaders: null, data: [] };
+
+    return {
+      ...melt,
+      sampleCount: columnsData.length,
+      sampleInfo,
+      plate: null,
+      amplification,
+      // No one run's metadata describes the experiment: each run keeps its own, and exports write every run's
+      runInfo: null,
+      runs: datasets.map((dataset, runIndex) => ({
+        label: labels[runIndex],
+        filename: dataset.filename,
+        format: dataset.format,
+        sampleCount: dataset.sampleCount,
+        plate: dataset.plate || null,
+        runInfo: dataset.runInfo || null,
+        amplificationSkipped: skipped.get(runIndex) || null
+      })),
+      filename: labels.join(', '),
+      format: 'Multiple runs'
+    };
   }
 
-  async parseCSVFile(file) {
-    return new Promise((resolve, reject) => {
-      Papa.parse(file, {
-        header: true,
-        dynamicTyping: true,
-        skipEmptyLines: true,
-        complete: (results) => {
-          showLoading(false);
-          
-          if (results.errors.length > 0) {
-            console.warn('Parse warnings:', results.errors);
-          }
-
-          // Validate data structure
-          const validation = validateCSVData(results.data);
-          if (!validation.valid) {
-            reject(new Error(validation.error));
-            return;
-          }
-
-          this.parsedData = {
-            filename: file.name,
-            headers: validation.headers,
-            tempHeader: validation.tempHeader,
-            data: results.data,
-            sampleCount: validation.headers.length - 1
-          };
-
-          showToast('Success', `Loaded ${file.name} with ${this.parsedData.sampleCount} samples`, 'success');
-          
-          // Trigger data loaded event
-          window.dispatchEvent(new CustomEvent('dataLoaded', { detail: this.parsedData }));
-          
-          resolve(this.parsedData);
-        },
-        error: (error) => {
-          showLoading(false);
-          reject(new Error(`Failed to parse file: ${error.message}`));
-        }
+  // Amplification wells of runs that share the first run's cycle count: { amplification, skipped },
+  // skipped mapping the run index of each other run to the reason
+  mergeAmplification(datasets, labels) {
+    const skipped = new Map();
+    const withCycles = datasets
+      .map((dataset, runIndex) => ({ amplification: dataset.amplification, run: labels[runIndex], runIndex }))
+      .filter(({ amplification }) => amplification && amplification.wells.length > 0);
+    if (withCycles.length === 0) return { amplification: null, skipped };
+
+    const cycles = withCycles[0].amplification.cycles;
+    const wells = [];
+    withCycles.forEach(({ amplification, run, runIndex }) => {
+      if (amplification.cycles.length !== cycles.length) {
+        skipped.set(runIndex, `${amplification.cycles.length} cycles instead of ${cycles.length}`);
+        return;
+      }
+      amplification.wells.forEach(well => {
+        wells.push({ ...well, sampleName: `${run}: ${well.sampleName || well.well}`, run, runIndex });
       });
     });
+
+    return { amplification: { cycles, wells }, skipped };
+  }
+
+  async parseTableFile(file) {
+    const text = await file.text();
+    showLoading(false);
+    return this.importWizard.open(file.name, text);
   }
 
-  async parseEDSFile(file) {
+  async parseWorkbookFile(file) {
+    const sheets = await this.xlsxReader.readWorkbook(file);
+    showLoading(false);
+    return this.importWizard.open(file.name, sheets);
+  }
+
+  // Re-format the loaded .eds melt data for another detector panel or dye channel
+  selectMeltChannel(options) {
+    if (!this.parsedData || !this.parsedData.meltSource) return;
+
     try {
-      showLoading(true, 'Parsing .eds file...');
-      
-      const parsedData = await this.edsParser.parseEDSFile(file);
-      
+      const { samples, plate, multicomponent } = this.parsedData.meltSource;
+      const formatted = this.edsParser.formatForHRMAnalyzer(samples, plate, multicomponent, options);
+      const { passiveReference, referenceMissing, selected } = formatted.meltChannels;
+      if (options.normalizeToReference && !selected.normalizeToReference && referenceMissing.length > 0) {
+        showToast(
+          'Reference normalization off',
+          `No ${passiveReference} trace in ${referenceMissing.length} well(s): ${referenceMissing.join(', ')}`,
+          'warning'
+        );
+      }
+
       this.parsedData = {
-        ...parsedData,
-        filename: file.name
+        ...this.parsedData,
+        ...formatted,
+        filename: this.parsedData.filename
       };
 
-      showLoading(false);
-      showToast('Success', `Loaded ${file.name} with ${this.parsedData.sampleCount} samples from .eds file`, 'success');
-      
-      // Trigger data loaded event
       window.dispatchEvent(new CustomEvent('dataLoaded', { detail: this.parsedData }));
-      
-      return this.parsedData;
     } catch (error) {
-      showLoading(false);
-      throw error;
+      showToast('Channel unavailable', error.message, 'error');
     }
   }
 
@@ -0,0 +1,78 @@
+// Genotype Caller Module
+// Calls each sample's genotype from its curve distance to reference curves averaged from marked standards
+import { formatNumber } from './utils.js';
+import { hasClearMelt, transitionWindow, rmsDistance, centroid } from './genotypeClustering.js';
+
+export const NO_CALL = 'No call';
+
+export class GenotypeCaller {
+  // Sets standardGenotype, genotypeCall, callConfidence, callDistance and callDistances on each sample;
+  // standards maps sample names to genotypes. Returns a summary for the log, or null without standards.
+  call(temperatures, samples, standards, minConfidence) {
+    samples.forEach(sample => {
+      sample.standardGenotype = standards[sample.name] || null;
+      sample.genotypeCall = null;
+      sample.callConfidence = null;
+      sample.callDistance = null;
+      sample.callDistances = null;
+    });
+
+    const marked = samples.filter(sample => sample.standardGenotype);
+    if (marked.length === 0) return null;
+
+    const genotypes = [...new Set(marked.map(sample => sample.standardGenotype))];
+    const window = transitionWindow(temperatures, samples.filter(hasClearMelt));
+    const curve = sample => window.indices.map(i => (sample.shifted || sample.normalized)[i]);
+
+    // Reference curve per genotype: the mean of its standards with a clear melt
+    const references = genotypes
+      .map(genotype => {
+        const standardsOf = marked.filter(sample => sample.standardGenotype === genotype && hasClearMelt(sample));
+        return { genotype, count: standardsOf.length, curve: standardsOf.length > 0 ? centroid(standardsOf.map(curve)) : null };
+      })
+      .filter(reference => reference.curve);
+
+    if (references.length < 2) {
+      samples.forEach(sample => { sample.genotypeCall = NO_CALL; });
+      return { references, window: window.range, called: 0, noCall: samples.length, mismatches: [] };
+    }
+
+    // Confidence: how much closer the nearest reference is than the runner-up, 0-1
+    let called = 0;
+    const mismatches = [];
+    samples.forEach(sample => {
+      if (!hasClearMelt(sample)) {
+        sample.genotypeCall = NO_CALL;
+        return;
+      }
+
+      const values = curve(sample);
+      const distances = references
+        .map(({ genotype, curve: reference }) => ({ genotype, distance: rmsDistance(values, reference) }))
+        .sort((a, b) => a.distance - b.distance);
+      const [nearest, runnerUp] = distances;
+      const confidence = (runnerUp.distance - nearest.distance) / Math.max(runnerUp.distance, Number.EPSILON);
+
+      sample.callDistances = Object.fromEntries(distances.map(({ genotype, distance }) => [genotype, distance]));
+      sample.callDistance = nearest.distance;
+      sample.callConfidence = confidence;
+      sample.genotypeCall = confidence >= minConfidence ? nearest.genotype : NO_CALL;
+
+      if (sample.genotypeCall !== NO_CALL) called++;
+      // A standard that does not call as its own genotype points at a bad control well
+      if (sample.standardGenotype && sample.genotypeCall !== sample.standardGenotype) mismatches.push(sample.name);
+    });
+
+    return { references, window: window.range, called, noCall: samples.length - called, mismatches };
+  }
+
+  describe({ references, window, called, noCall, mismatches }, minConfidence) {
+    const standards = references.map(({ genotype, count }) => `${genotype} (${count})`).join(', ');
+    if (references.length < 2) {
+      return `Standards: ${standards || 'none with a clear melt'}; at least two genotypes needed for calls`;
+    }
+    return `Nearest reference curve, ${formatNumber(window[0], 1)}-${formatNumber(window[1], 1)} °C; standards: ${standards}; ` +
+      `${called} called, ${noCall} no call (confidence below ${formatNumber(minConfidence, 2)} or no clear melt)` +
+      (mismatches.length > 0 ? `; standards not calling as their genotype: ${mismatches.join(', ')}` : '');
+  }
+}
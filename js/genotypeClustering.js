@@ -0,0 +1,178 @@
+// Genotype Clustering Module
+// Groups samples by the shape of their normalized melt curves (average-linkage hierarchical clustering,
+// cluster count chosen by silhouette) and scores how clearly each sample belongs to its cluster
+import { median, formatNumber } from './utils.js';
+
+// Curve points compared per sample (the melt transition is resampled to at most this many)
+const MAX_FEATURE_POINTS = 60;
+export const UNCLASSIFIED = 'Unclassified';
+
+export class GenotypeClustering {
+  constructor() {
+    this.settings = {
+      maxClusters: 6,
+      minSilhouette: 0.5, // mean silhouette needed to split the samples into more than one cluster
+      minConfidence: 0.5 // samples less clearly in their cluster are unclassified
+    };
+  }
+
+  // Sets cluster, clusterConfidence and clusterDistance on each sample; returns a summary for the log.
+  // NTCs, curves without a clear plateau and samples matching skip (e.g. failed QC) are not clustered.
+  cluster(temperatures, samples, skip = null) {
+    const { maxClusters, minSilhouette, minConfidence } = this.settings;
+    const skipped = skip ? samples.filter(sample => hasClearMelt(sample) && skip(sample)).length : 0;
+    const usable = samples.filter(sample => hasClearMelt(sample) && !(skip && skip(sample)));
+
+    samples.forEach(sample => {
+      sample.cluster = UNCLASSIFIED;
+      sample.clusterConfidence = null;
+      sample.clusterDistance = null;
+    });
+    if (usable.length < 2) {
+      return { clusters: 0, silhouette: null, window: null, unclassified: samples.length, skipped };
+    }
+
+    const window = transitionWindow(temperatures, usable);
+    const features = usable.map(sample => window.indices.map(i => (sample.shifted || sample.normalized)[i]));
+    const distances = features.map(a => features.map(b => rmsDistance(a, b)));
+
+    // Merge history gives a partition for every cluster count; keep the best separated one
+    const partitions = averageLinkage(distances, Math.min(maxClusters, usable.length - 1));
+    let best = { assignment: new Array(usable.length).fill(0), count: 1, silhouette: null };
+    partitions.forEach(({ assignment, count }) => {
+      const silhouette = meanSilhouette(distances, assignment);
+      if (silhouette >= minSilhouette && (best.silhouette === null || silhouette > best.silhouette)) {
+        best = { assignment, count, silhouette };
+      }
+    });
+
+    // Number clusters in sample order
+    const order = [];
+    best.assignment.forEach(id => {
+      if (!order.includes(id)) order.push(id);
+    });
+    const centroids = order.map(id => centroid(features.filter((_, i) => best.assignment[i] === id)));
+
+    // Confidence: how much closer a sample is to its own centroid than to the next nearest, 0-1
+    let unclassified = samples.length - usable.length;
+    usable.forEach((sample, i) => {
+      const own = order.indexOf(best.assignment[i]);
+      const toCentroids = centroids.map(c => rmsDistance(features[i], c));
+      const nearestOther = Math.min(...toCentroids.filter((_, c) => c !== own));
+      const distance = toCentroids[own];
+      const confidence = isFinite(nearestOther)
+        ? (nearestOther - distance) / Math.max(nearestOther, distance, Number.EPSILON)
+        : 1;
+
+      sample.clusterDistance = distance;
+      sample.clusterConfidence = Math.max(0, confidence);
+      if (confidence >= minConfidence) {
+        sample.cluster = `Cluster ${own + 1}`;
+      } else {
+        unclassified++;
+      }
+    });
+
+    return { clusters: order.length, silhouette: best.silhouette, window: window.range, unclassified, skipped };
+  }
+
+  describe({ clusters, silhouette, window, unclassified, skipped }) {
+    if (!window) return 'Too few curves with a clear melt to cluster';
+    return `Average-linkage clustering of normalized curves, ${formatNumber(window[0], 1)}-${formatNumber(window[1], 1)} °C: ` +
+      `${clusters} cluster(s)` + (silhouette !== null ? ` (silhouette ${formatNumber(silhouette, 2)})` : '') +
+      (unclassified > 0 ? `; ${unclassified} sample(s) unclassified` : '') +
+      (skipped > 0 ? ` (${skipped} failed QC and left out)` : '');
+  }
+}
+
+// NTCs and curves without a clear plateau have no melt shape to compare
+export function hasClearMelt(sample) {
+  return !sample.plateauWarning && (sample.task || '').toUpperCase() !== 'NTC';
+}
+
+// Grid points of the melt transition (between the median pre-melt end and post-melt start), at most MAX_FEATURE_POINTS
+export function transitionWindow(temperatures, samples) {
+  const regions = samples.map(sample => sample.meltRegions).filter(Boolean);
+  let start = 0;
+  let end = temperatures.length - 1;
+  if (regions.length > 0) {
+    const from = median(regions.map(r => r.pre[1]));
+    const to = median(regions.map(r => r.post[0]));
+    const first = temperatures.findIndex(t => t >= from);
+    let last = temperatures.length - 1;
+    while (last > 0 && temperatures[last] > to) last--;
+    if (first >= 0 && last - first >= 2) {
+      start = first;
+      end = last;
+    }
+  }
+
+  const step = Math.max(1, Math.ceil((end - start + 1) / MAX_FEATURE_POINTS));
+  const indices = [];
+  for (let i = start; i <= end; i += step) indices.push(i);
+  return { indices, range: [temperatures[start], temperatures[end]] };
+}
+
+export function rmsDistance(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += (a[i] - b[i]) * (a[i] - b[i]);
+  return Math.sqrt(sum / a.length);
+}
+
+export function centroid(curves) {
+  return curves[0].map((_, i) => curves.reduce((sum, curve) => sum + curve[i], 0) / curves.length);
+}
+
+// Agglomerative clustering with average linkage; [{ count, assignment }] for each count from maxCount down to 2
+function averageLinkage(distances, maxCount) {
+  const clusters = distances.map((_, i) => [i]);
+  // Cluster-to-cluster distances, updated on each merge (Lance-Williams)
+  const linkage = distances.map(row => row.slice());
+  const partitions = [];
+
+  while (clusters.length > 2) {
+    let best = null;
+    for (let a = 0; a < clusters.length; a++) {
+      for (let b = a + 1; b < clusters.length; b++) {
+        if (!best || linkage[a][b] < best.d) best = { a, b, d: linkage[a][b] };
+      }
+    }
+
+    const sizeA = clusters[best.a].length;
+    const sizeB = clusters[best.b].length;
+    for (let k = 0; k < clusters.length; k++) {
+      const merged = (sizeA * linkage[best.a][k] + sizeB * linkage[best.b][k]) / (sizeA + sizeB);
+      linkage[best.a][k] = merged;
+      linkage[k][best.a] = merged;
+    }
+    clusters[best.a] = clusters[best.a].concat(clusters[best.b]);
+    clusters.splice(best.b, 1);
+    linkage.splice(best.b, 1);
+    linkage.forEach(row => row.splice(best.b, 1));
+
+    if (clusters.length <= maxCount) {
+      const assignment = new Array(distances.length);
+      clusters.forEach((members, id) => members.forEach(i => { assignment[i] = id; }));
+      partitions.push({ count: clusters.length, assignment });
+    }
+  }
+  return partitions;
+}
+
+// Mean silhouette width of a partition (1 = tight, well separated clusters)
+function meanSilhouette(distances, assignment) {
+  const count = Math.max(...assignment) + 1;
+  const sizes = new Array(count).fill(0);
+  assignment.forEach(id => { sizes[id]++; });
+
+  const widths = assignment.map((own, i) => {
+    if (sizes[own] === 1) return 0; // singleton cluster
+    const sums = new Array(count).fill(0);
+    assignment.forEach((id, j) => { sums[id] += distances[i][j]; });
+
+    const a = sums[own] / (sizes[own] - 1);
+    const b = Math.min(...sums.map((sum, id) => (id === own || sizes[id] === 0 ? Infinity : sum / sizes[id])));
+    return (b - a) / Math.max(a, b, Number.EPSILON);
+  });
+  return widths.reduce((sum, w) => sum + w, 0) / widths.length;
+}
@@ -0,0 +1,526 @@
+// Import Wizard Module
+// Preview and column mapping for CSV/TSV tables and Excel worksheets
+import {
+  TEMPERATURE_HEADER_PATTERN,
+  parseWellId,
+  wellIndexToId,
+  buildPairedColumns,
+  median,
+  saveToStorage,
+  loadFromStorage
+} from './utils.js';
+
+const DELIMITERS = ['\t', ';', '|', ','];
+const STORAGE_KEY = 'hrmImportMappings';
+const PREVIEW_ROWS = 8;
+
+export const COLUMN_ROLES = {
+  ignore: 'Ignore',
+  temperature: 'Temperature',
+  sample: 'Sample (wide)',
+  well: 'Well (long)',
+  name: 'Sample name (long)',
+  fluorescence: 'Fluorescence (long)'
+};
+
+// Best guess of delimiter, decimal style, header row, units and column roles
+export function analyzeTable(text) {
+  const delimiter = detectDelimiter(text);
+  const rows = splitRows(text, delimiter);
+  const decimal = detectDecimal(rows, delimiter);
+  const headerRow = detectHeaderRow(rows, decimal);
+  const table = readTable(rows, headerRow);
+  const { roles, unit } = guessRoles(table, decimal);
+
+  return { delimiter, decimal, headerRow, unit, roles };
+}
+
+export function splitRows(text, delimiter) {
+  return Papa.parse(text.replace(/^\uFEFF/, ''), { delimiter, skipEmptyLines: 'greedy' }).data
+    .map(row => row.map(cell => String(cell).trim()));
+}
+
+// Header names (or "Column n") and the data rows below the header
+export function readTable(rows, headerRow) {
+  const width = Math.max(0, ...rows.slice(Math.max(0, headerRow)).map(row => row.length));
+  const headerCells = headerRow >= 0 ? rows[headerRow] || [] : [];
+  const headers = [];
+  for (let col = 0; col < width; col++) {
+    let header = headerCells[col] || `Column ${col + 1}`;
+    if (headers.includes(header)) header = `${header} (${col + 1})`;
+    headers.push(header);
+  }
+  return { headers, rows: rows.slice(headerRow + 1) };
+}
+
+export function parseNumber(cell, decimal = '.') {
+  if (cell === undefined || cell === null || cell === '') return NaN;
+  let value = String(cell).replace(/\s/g, '');
+  if (decimal === ',') {
+    value = value.replace(/\./g, '').replace(',', '.');
+  }
+  return /^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i.test(value) ? parseFloat(value) : NaN;
+}
+
+export function headerSignature(headers) {
+  return headers.map(header => header.toLowerCase()).join('␟');
+}
+
+export function loadSavedMapping(headers) {
+  const saved = loadFromStorage(STORAGE_KEY) || {};
+  const mapping = saved[headerSignature(headers)];
+  return mapping && mapping.roles.length === headers.length ? mapping : null;
+}
+
+export function saveMapping(headers, mapping) {
+  const saved = loadFromStorage(STORAGE_KEY) || {};
+  saved[headerSignature(headers)] = mapping;
+  saveToStorage(STORAGE_KEY, saved);
+}
+
+// Table + mapping -> the { headers, tempHeader, data, ... } structure of every importer
+export function applyMapping(table, mapping) {
+  const { roles, decimal, unit } = mapping;
+  const toCelsius = value => (unit === 'F' ? (value - 32) * 5 / 9 : value);
+  const columnsWith = role => roles.map((r, col) => (r === role ? col : -1)).filter(col => col >= 0);
+  const tempCols = columnsWith('temperature');
+
+  if (tempCols.length === 0) {
+    throw new Error('Select a temperature column');
+  }
+
+  const notes = [];
+  if (unit === 'F') notes.push('°F converted to °C');
+  if (decimal === ',') notes.push('decimal comma');
+
+  // Long format: one reading per row, pivoted into one curve per well/sample
+  if (roles.includes('fluorescence')) {
+    const fluorCol = columnsWith('fluorescence')[0];
+    const wellCol = columnsWith('well')[0];
+    const nameCol = columnsWith('name')[0];
+    if (wellCol === undefined && nameCol === undefined) {
+      throw new Error('Long format needs a well or sample name column');
+    }
+
+    const groups = new Map();
+    table.rows.forEach(row => {
+      const temperature = parseNumber(row[tempCols[0]], decimal);
+      const value = parseNumber(row[fluorCol], decimal);
+      if (isNaN(temperature) || isNaN(value)) return;
+
+      const well = wellCol !== undefined ? row[wellCol] : '';
+      const sampleName = nameCol !== undefined ? row[nameCol] : '';
+      const key = `${well}␟${sampleName}`;
+      if (!groups.has(key)) {
+        groups.set(key, { well, sampleName, temperatures: [], values: [] });
+      }
+      groups.get(key).temperatures.push(toCelsius(temperature));
+      groups.get(key).values.push(value);
+    });
+
+    const positions = [...groups.values()].map(g => parseWellId(g.well));
+    const columns = plateColumns(positions);
+    const sampleInfo = {};
+    const columnsData = [...groups.values()].map((group, idx) => {
+      const position = positions[idx];
+      const well = position ? wellIndexToId(position.row * columns + position.column, columns) : group.well;
+      let name = [well, group.sampleName].filter(Boolean).join(' ') || `Sample ${idx + 1}`;
+      if (sampleInfo[name]) name = `${name}_${idx + 1}`;
+
+      sampleInfo[name] = {
+        well,
+        wellIndex: position ? position.row * columns + position.column : null,
+        sampleName: group.sampleName
+      };
+      return { name, temperatures: group.temperatures, values: group.values };
+    });
+
+    if (columnsData.length === 0) {
+      throw new Error('No rows with both temperature and fluorescence values');
+    }
+
+    return {
+      ...buildPairedColumns(columnsData),
+      sampleCount: columnsData.length,
+      sampleInfo,
+      importNotes: ['long format', ...notes].join(', ')
+    };
+  }
+
+  // Wide format: every sample column reads the nearest temperature column on its left
+  const sampleCols = columnsWith('sample');
+  if (sampleCols.length === 0) {
+    throw new Error('Select at least one sample column');
+  }
+
+  const tempHeaders = tempCols.map((col, i) => {
+    if (unit !== 'F') return table.headers[col];
+    return tempCols.length > 1 ? `Temperature (°C) ${i + 1}` : 'Temperature (°C)';
+  });
+  const sampleTemperatureHeaders = {};
+  const sampleInfo = {};
+  const positions = sampleCols.map(col => parseWellId(table.headers[col]));
+  const columns = plateColumns(positions);
+  sampleCols.forEach((col, i) => {
+    const tempIdx = Math.max(0, tempCols.filter(tCol => tCol < col).length - 1);
+    const header = table.headers[col];
+    sampleTemperatureHeaders[header] = tempHeaders[tempIdx];
+
+    // Well-named columns ("A1", "B03") place the sample on the plate
+    if (positions[i]) {
+      const wellIndex = positions[i].row * columns + positions[i].column;
+      sampleInfo[header] = { well: wellIndexToId(wellIndex, columns), wellIndex, sampleName: '' };
+    }
+  });
+
+  const data = table.rows.map(row => {
+    const record = {};
+    tempCols.forEach((col, i) => {
+      const value = parseNumber(row[col], decimal);
+      record[tempHeaders[i]] = isNaN(value) ? null : toCelsius(value);
+    });
+    sampleCols.forEach(col => {
+      const value = parseNumber(row[col], decimal);
+      record[table.headers[col]] = isNaN(value) ? null : value;
+    });
+    return record;
+  }).filter(record => tempHeaders.some(header => record[header] !== null));
+
+  if (data.length === 0) {
+    throw new Error('No rows with a numeric temperature');
+  }
+
+  return {
+    headers: [...tempHeaders, ...sampleCols.map(col => table.headers[col])],
+    tempHeader: tempHeaders[0],
+    sampleTemperatureHeaders: tempCols.length > 1 ? sampleTemperatureHeaders : null,
+    data,
+    sampleCount: sampleCols.length,
+    sampleInfo,
+    importNotes: notes.join(', ') || null
+  };
+}
+
+// Worksheet rows as tab-separated text, so workbooks take the same path as text files
+function sheetText(rows) {
+  return Papa.unparse(rows, { delimiter: '\t', newline: '\n' });
+}
+
+function countNumbers(rows) {
+  return rows.reduce((count, row) => count + row.filter(cell => cell !== '' && !isNaN(Number(cell))).length, 0);
+}
+
+// 96-well layout unless a position lies outside A1-H12
+function plateColumns(positions) {
+  return positions.some(p => p && (p.row > 7 || p.column > 11)) ? 24 : 12;
+}
+
+// Delimiter splitting the most rows into the table's column count. Ties go to tab, semicolon
+// and pipe before comma, which may be the decimal separator.
+function detectDelimiter(text) {
+  let best = { delimiter: ',', score: -1 };
+  DELIMITERS.forEach(delimiter => {
+    const rows = Papa.parse(text, { delimiter, preview: 200, skipEmptyLines: 'greedy' }).data;
+    const width = mode(rows.slice(Math.floor(rows.length / 2)).map(row => row.length));
+    if (width < 2) return;
+
+    const score = rows.filter(row => row.length === width).length / rows.length;
+    if (score > best.score) best = { delimiter, score };
+  });
+  return best.delimiter;
+}
+
+function detectDecimal(rows, delimiter) {
+  if (delimiter === ',') return '.';
+  let comma = 0;
+  let point = 0;
+  rows.slice(0, 200).forEach(row => row.forEach(cell => {
+    if (/^-?\d+,\d+$/.test(cell)) comma++;
+    else if (/^-?\d+\.\d+$/.test(cell)) point++;
+  }));
+  return comma > point ? ',' : '.';
+}
+
+// First row of the main table; a mostly non-numeric row right above it is the header.
+// Returns -1 when the table has no header row.
+function detectHeaderRow(rows, decimal) {
+  const width = mode(rows.slice(Math.floor(rows.length / 2)).map(row => row.length));
+  const numericShare = row => row.filter(cell => !isNaN(parseNumber(cell, decimal))).length / Math.max(1, row.length);
+
+  for (let i = 0; i < rows.length - 1; i++) {
+    if (rows[i].length !== width || rows[i + 1].length !== width) continue;
+    if (numericShare(rows[i + 1]) < 0.5) continue;
+    return numericShare(rows[i]) < 0.5 ? i : i - 1;
+  }
+  return 0;
+}
+
+function guessRoles(table, decimal) {
+  const { headers, rows } = table;
+  const body = rows.slice(0, 500);
+  const columnValues = headers.map((_, col) => body.map(row => row[col]));
+  const numbers = columnValues.map(values => values.map(cell => parseNumber(cell, decimal)));
+  const isNumeric = numbers.map(values => values.filter(v => !isNaN(v)).length >= 0.8 * values.length);
+
+  // Running index (0,1,2... or 1,2,3...) columns are ignored, well-index columns included; the header
+  // decides, as a temperature column in whole degrees counts up by one too
+  const isIndex = numbers.map((values, col) => isNumeric[col] &&
+    /^(#|idx|index|no\.?|nr\.?|n|row|read|point|well([\s_-]*(index|idx|no\.?|nr\.?|#))?|)$/i.test(headers[col].trim().replace(/^Column \d+$/, '')) &&
+    values.every((v, i) => i === 0 || v - values[i - 1] === 1));
+
+  let tempCols = headers
+    .map((header, col) => (isNumeric[col] && !isIndex[col] && TEMPERATURE_HEADER_PATTERN.test(header) ? col : -1))
+    .filter(col => col >= 0);
+  if (tempCols.length === 0) {
+    const first = isNumeric.findIndex((numeric, col) => numeric && !isIndex[col]);
+    tempCols = first >= 0 ? [first] : [];
+  }
+
+  const tempValues = tempCols.flatMap(col => numbers[col].filter(v => !isNaN(v)));
+  const fahrenheit = tempCols.some(col => /°\s*f\b|\(f\)|fahrenheit|deg\s*f/i.test(headers[col])) ||
+    (tempValues.length > 0 && median(tempValues) > 110);
+
+  // Long format: a text or well column whose values repeat, and a single fluorescence column
+  const repeats = col => new Set(columnValues[col]).size <= columnValues[col].length / 2;
+  const wellCol = headers.findIndex((header, col) => !tempCols.includes(col) && repeats(col) &&
+    (/well|pos/i.test(header) || columnValues[col].every(cell => parseWellId(cell))));
+  const nameCol = headers.findIndex((header, col) => col !== wellCol && !isNumeric[col] && repeats(col) &&
+    /sample|name/i.test(header));
+  const valueCols = headers
+    .map((header, col) => (isNumeric[col] && !isIndex[col] && !tempCols.includes(col) && col !== wellCol ? col : -1))
+    .filter(col => col >= 0);
+  const isLong = (wellCol >= 0 || nameCol >= 0) && tempCols.length === 1 && valueCols.length >= 1;
+
+  const roles = headers.map((header, col) => {
+    if (tempCols.includes(col)) return 'temperature';
+    if (isLong) {
+      if (col === wellCol) return 'well';
+      if (col === nameCol) return 'name';
+      let fluorCol = valueCols.find(c => /fluor|rfu|signal|intensity|value|^rn$/i.test(headers[c]));
+      if (fluorCol === undefined) fluorCol = valueCols[valueCols.length - 1];
+      return col === fluorCol ? 'fluorescence' : 'ignore';
+    }
+    return isNumeric[col] && !isIndex[col] ? 'sample' : 'ignore';
+  });
+
+  return { roles, unit: fahrenheit ? 'F' : 'C' };
+}
+
+function mode(values) {
+  const counts = new Map();
+  values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+  let best = 0;
+  let bestCount = 0;
+  counts.forEach((count, value) => {
+    if (count > bestCount || (count === bestCount && value > best)) {
+      best = value;
+      bestCount = count;
+    }
+  });
+  return best;
+}
+
+export class ImportWizard {
+  constructor() {
+    this.overlay = document.getElementById('importWizard');
+    this.pending = null;
+  }
+
+  // source: file text, or the sheets of a workbook as [{ name, rows }].
+  // Resolves with the mapped data, rejects when the user cancels.
+  open(filename, source) {
+    this.sheets = typeof source === 'string'
+      ? null
+      : source.map(sheet => ({ name: sheet.name, text: sheetText(sheet.rows), numbers: countNumbers(sheet.rows) }));
+
+    // A sheet with a remembered mapping, else the one holding the most numbers
+    let sheetIndex = 0;
+    if (this.sheets) {
+      const savedIndex = this.sheets.findIndex(sheet => this.detect(sheet.text));
+      sheetIndex = savedIndex >= 0
+        ? savedIndex
+        : this.sheets.reduce((best, sheet, i) => (sheet.numbers > this.sheets[best].numbers ? i : best), 0);
+    }
+    this.detect(this.sheets ? this.sheets[sheetIndex].text : source);
+
+    if (!this.overlay) {
+      // No wizard markup: import with the detected mapping
+      return Promise.resolve(applyMapping(this.table, this.mapping));
+    }
+
+    document.getElementById('importWizardTitle').textContent = `Import ${filename}`;
+    this.populateSheets(sheetIndex);
+    this.syncControls();
+    this.render();
+    this.overlay.classList.remove('hidden');
+
+    return new Promise((resolve, reject) => {
+      this.pending = { resolve, reject };
+    });
+  }
+
+  // Detected (or remembered) mapping for a text; returns whether a saved mapping applied
+  detect(text) {
+    this.text = text;
+    this.mapping = analyzeTable(text);
+    this.rows = splitRows(text, this.mapping.delimiter);
+    this.table = readTable(this.rows, this.mapping.headerRow);
+
+    const saved = loadSavedMapping(this.table.headers);
+    if (saved) {
+      this.mapping = saved;
+      this.rows = splitRows(text, saved.delimiter);
+      this.table = readTable(this.rows, saved.headerRow);
+    }
+    this.usingSaved = !!saved;
+    return this.usingSaved;
+  }
+
+  populateSheets(selectedIndex) {
+    const control = document.getElementById('importSheetControl');
+    const select = document.getElementById('importSheet');
+    select.innerHTML = '';
+    control.classList.toggle('hidden', !this.sheets || this.sheets.length < 2);
+    if (!this.sheets) return;
+
+    this.sheets.forEach((sheet, i) => {
+      select.appendChild(new Option(sheet.name, i, false, i === selectedIndex));
+    });
+  }
+
+  setupEventListeners() {
+    if (!this.overlay || this.listening) return;
+    this.listening = true;
+
+    document.getElementById('importSheet').addEventListener('change', (e) => {
+      this.detect(this.sheets[parseInt(e.target.value)].text);
+      this.syncControls();
+      this.render();
+    });
+    document.getElementById('importDelimiter').addEventListener('change', (e) => {
+      this.mapping.delimiter = e.target.value === 'tab' ? '\t' : e.target.value;
+      this.reread();
+    });
+    document.getElementById('importHeaderRow').addEventListener('change', (e) => {
+      this.mapping.headerRow = (parseInt(e.target.value) || 0) - 1;
+      this.reread();
+    });
+    document.getElementById('importDecimal').addEventListener('change', (e) => {
+      this.mapping.decimal = e.target.value;
+      this.render();
+    });
+    document.getElementById('importUnit').addEventListener('change', (e) => {
+      this.mapping.unit = e.target.value;
+      this.render();
+    });
+    document.getElementById('importWizardCancel').addEventListener('click', () => this.close(null));
+    document.getElementById('importWizardConfirm').addEventListener('click', () => this.confirm());
+  }
+
+  // Delimiter or header row changed: split again and re-guess roles when the columns changed
+  reread() {
+    this.rows = splitRows(this.text, this.mapping.delimiter);
+    const previousHeaders = this.table.headers;
+    this.table = readTable(this.rows, this.mapping.headerRow);
+    if (this.table.headers.length !== previousHeaders.length || this.mapping.roles.length !== this.table.headers.length) {
+      const { roles, unit } = guessRoles(this.table, this.mapping.decimal);
+      this.mapping.roles = roles;
+      this.mapping.unit = unit;
+    }
+    this.syncControls();
+    this.render();
+  }
+
+  syncControls() {
+    this.setupEventListeners();
+    document.getElementById('importDelimiter').value = this.mapping.delimiter === '\t' ? 'tab' : this.mapping.delimiter;
+    document.getElementById('importDecimal').value = this.mapping.decimal;
+    document.getElementById('importHeaderRow').value = this.mapping.headerRow + 1;
+    document.getElementById('importUnit').value = this.mapping.unit;
+  }
+
+  render() {
+    const head = document.getElementById('importWizardHead');
+    const body = document.getElementById('importWizardBody');
+    const { headers, rows } = this.table;
+
+    head.innerHTML = '';
+    const roleRow = document.createElement('tr');
+    const nameRow = document.createElement('tr');
+    headers.forEach((header, col) => {
+      const roleCell = document.createElement('th');
+      const select = document.createElement('select');
+      select.className = 'form-select';
+      Object.entries(COLUMN_ROLES).forEach(([role, label]) => {
+        select.appendChild(new Option(label, role, false, this.mapping.roles[col] === role));
+      });
+      select.addEventListener('change', () => {
+        this.mapping.roles[col] = select.value;
+        this.updateSummary();
+      });
+      roleCell.appendChild(select);
+      roleRow.appendChild(roleCell);
+
+      const nameCell = document.createElement('th');
+      nameCell.textContent = header;
+      nameRow.appendChild(nameCell);
+    });
+    head.appendChild(roleRow);
+    head.appendChild(nameRow);
+
+    body.innerHTML = '';
+    rows.slice(0, PREVIEW_ROWS).forEach(row => {
+      const tr = document.createElement('tr');
+      headers.forEach((_, col) => {
+        const td = document.createElement('td');
+        td.textContent = row[col] !== undefined ? row[col] : '';
+        tr.appendChild(td);
+      });
+      body.appendChild(tr);
+    });
+
+    this.updateSummary();
+  }
+
+  updateSummary() {
+    const summary = document.getElementById('importWizardSummary');
+    const confirm = document.getElementById('importWizardConfirm');
+    try {
+      const result = applyMapping(this.table, this.mapping);
+      const layout = this.mapping.roles.includes('fluorescence') ? 'Long format' : 'Wide format';
+      summary.textContent = `${this.usingSaved ? 'Saved mapping. ' : ''}${layout}: ${result.sampleCount} samples, ` +
+        `${this.table.rows.length} data rows${result.importNotes ? ` (${result.importNotes})` : ''}`;
+      confirm.disabled = false;
+    } catch (error) {
+      summary.textContent = error.message;
+      confirm.disabled = true;
+    }
+  }
+
+  confirm() {
+    try {
+      const result = applyMapping(this.table, this.mapping);
+      if (document.getElementById('importWizardRemember').checked) {
+        saveMapping(this.table.headers, this.mapping);
+      }
+      this.close(result);
+    } catch (error) {
+      document.getElementById('importWizardSummary').textContent = error.message;
+    }
+  }
+
+  close(result) {
+    this.overlay.classList.add('hidden');
+    const pending = this.pending;
+    this.pending = null;
+    if (!pending) return;
+
+    if (result) {
+      pending.resolve(result);
+    } else {
+      const error = new Error('Import cancelled');
+      error.cancelled = true;
+      pending.reject(error);
+    }
+  }
+}
@@ -0,0 +1,37 @@
+// Importer Registry Module
+// Picks the importer for a file from its content, falling back to the extension
+import { getFileExtension } from './utils.js';
+
+// Bytes read from the start of a file for format detection
+const HEAD_BYTES = 16384;
+
+export class ImporterRegistry {
+  constructor() {
+    this.importers = [];
+  }
+
+  // importer: { id, label, detect({ name, extension, head, isZip }) -> boolean, parse(file) -> Promise<data> }
+  register(importer) {
+    this.importers = this.importers.filter(existing => existing.id !== importer.id);
+    this.importers.push(importer);
+  }
+
+  async detect(file) {
+    const buffer = await file.slice(0, HEAD_BYTES).arrayBuffer();
+    const bytes = new Uint8Array(buffer);
+    const probe = {
+      name: file.name,
+      extension: getFileExtension(file.name),
+      // ZIP local file header "PK\x03\x04" (.eds, .xlsx, ...)
+      isZip: bytes.length >= 4 && bytes[0] === 0x50 && bytes[1] === 0x4b && bytes[2] === 0x03 && bytes[3] === 0x04,
+      head: new TextDecoder('utf-8').decode(bytes).replace(/^\uFEFF/, '')
+    };
+
+    // Registration order is priority order: specific formats before generic ones
+    return this.importers.find(importer => importer.detect(probe)) || null;
+  }
+
+  getLabels() {
+    return this.importers.map(importer => importer.label);
+  }
+}
@@ -0,0 +1,294 @@
+// Instrument Importers Module
+// Melt curve exports from Bio-Rad CFX, Roche LightCycler 480 and Qiagen Rotor-Gene
+import { parseWellId, wellIndexToId, buildPairedColumns } from './utils.js';
+
+// Bio-Rad CFX Maestro "Melt Curve RFU Results": Temperature column followed by one RFU column per well
+export const cfxImporter = {
+  id: 'cfx',
+  label: 'Bio-Rad CFX',
+  detect({ isZip, head }) {
+    return !isZip && findCFXHeader(parseRows(head)) !== null;
+  },
+  async parse(file) {
+    const rows = parseRows(await file.text());
+    const header = findCFXHeader(rows);
+    if (!header) {
+      throw new Error('No "Temperature" column with well columns found in CFX export');
+    }
+
+    const { index, tempCol, wellCols } = header;
+    const plate = plateForWells(wellCols.map(({ position }) => position));
+    const tempHeader = 'Temperature';
+    const headers = [tempHeader];
+    const sampleInfo = {};
+
+    wellCols.forEach(({ position }) => {
+      const well = wellIndexToId(position.row * plate.columns + position.column, plate.columns);
+      headers.push(well);
+      sampleInfo[well] = { well, wellIndex: position.row * plate.columns + position.column, sampleName: '' };
+    });
+
+    const data = [];
+    rows.slice(index + 1).forEach(row => {
+      const temperature = parseFloat(row[tempCol]);
+      if (isNaN(temperature)) return;
+
+      const record = { [tempHeader]: temperature };
+      wellCols.forEach(({ col }, i) => {
+        const value = parseFloat(row[col]);
+        record[headers[i + 1]] = isNaN(value) ? null : value;
+      });
+      data.push(record);
+    });
+
+    if (data.length === 0) {
+      throw new Error('CFX export contains no temperature readings');
+    }
+
+    return { headers, tempHeader, data, sampleCount: wellCols.length, sampleInfo, plate };
+  }
+};
+
+// Roche LightCycler 480 tab-delimited export: one reading per line
+// (SamplePos, SampleName, Program, Segment, ..., Temp, Fluor)
+export const lightCyclerImporter = {
+  id: 'lightcycler480',
+  label: 'Roche LightCycler 480',
+  detect({ isZip, head }) {
+    return !isZip && findLightCyclerHeader(head.split(/\r?\n/)) !== null;
+  },
+  async parse(file) {
+    const lines = (await file.text()).split(/\r?\n/);
+    const header = findLightCyclerHeader(lines);
+    if (!header) {
+      throw new Error('No SamplePos/Temp/Fluor header found in LightCycler export');
+    }
+
+    const { index, columns } = header;
+    const col = name => columns.findIndex(c => c.toLowerCase() === name.toLowerCase());
+    const posCol = col('SamplePos');
+    const nameCol = col('SampleName');
+    const programCol = col('Program');
+    const segmentCol = col('Segment');
+    const tempCol = col('Temp');
+    // Fluorescence is "Fluor", or named after the filter pair (e.g. "465-510")
+    let fluorCol = col('Fluor');
+    if (fluorCol < 0) fluorCol = columns.findIndex(c => /^\d{3}-\d{3}$/.test(c));
+    if (fluorCol < 0) fluorCol = columns.length - 1;
+
+    const readings = [];
+    lines.slice(index + 1).forEach(line => {
+      const cells = line.split('\t').map(cell => cell.trim());
+      const temperature = parseFloat(cells[tempCol]);
+      const fluorescence = parseFloat(cells[fluorCol]);
+      if (!cells[posCol] || isNaN(temperature) || isNaN(fluorescence)) return;
+
+      readings.push({
+        position: cells[posCol],
+        sampleName: nameCol >= 0 ? cells[nameCol] : '',
+        program: programCol >= 0 ? cells[programCol] : '',
+        segment: segmentCol >= 0 ? cells[segmentCol] : '',
+        temperature,
+        fluorescence
+      });
+    });
+
+    // Melting program: named like "Melting"/"High Resolution Melting", else the last one
+    const programs = [...new Set(readings.map(r => r.program))];
+    const program = programs.find(name => /melt/i.test(name)) || programs[programs.length - 1];
+    const programReadings = readings.filter(r => r.program === program);
+
+    // Continuous acquisition happens in one segment: the one with the most readings
+    const segmentCounts = new Map();
+    programReadings.forEach(r => segmentCounts.set(r.segment, (segmentCounts.get(r.segment) || 0) + 1));
+    const segment = [...segmentCounts.entries()].sort((a, b) => b[1] - a[1])[0];
+    const meltReadings = segment ? programReadings.filter(r => r.segment === segment[0]) : [];
+
+    const byPosition = new Map();
+    meltReadings.forEach(r => {
+      if (!byPosition.has(r.position)) {
+        byPosition.set(r.position, { position: r.position, sampleName: r.sampleName, temperatures: [], values: [] });
+      }
+      const sample = byPosition.get(r.position);
+      sample.temperatures.push(r.temperature);
+      sample.values.push(r.fluorescence);
+    });
+
+    const samples = [...byPosition.values()];
+    if (samples.length === 0) {
+      throw new Error('LightCycler export contains no melt readings');
+    }
+
+    // Well layout only when every position is a well ID; otherwise (e.g. capillary numbers)
+    // samples are numbered in file order so parsed and unparsed positions cannot collide
+    const positions = samples.map(s => parseWellId(s.position));
+    const plate = positions.every(Boolean) ? plateForWells(positions) : null;
+    return formatSamples(samples.map((s, idx) => {
+      const position = positions[idx];
+      const wellIndex = plate ? position.row * plate.columns + position.column : idx;
+      return {
+        ...s,
+        well: plate ? wellIndexToId(wellIndex, plate.columns) : s.position,
+        wellIndex
+      };
+    }), plate);
+  }
+};
+
+// Qiagen Rotor-Gene melt export: a "Melt on <channel>" block with a temperature column
+// followed by one column per tube ("1", "2. Sample A", ...)
+export const rotorGeneImporter = {
+  id: 'rotorgene',
+  label: 'Qiagen Rotor-Gene',
+  detect({ isZip, head }) {
+    if (isZip) return false;
+    const rows = parseRows(head);
+    return (/rotor-?gene/i.test(head) || rows.some(isRotorGeneTitle)) && findRotorGeneHeader(rows, 0) !== null;
+  },
+  async parse(file) {
+    const rows = parseRows(await file.text());
+
+    // Prefer the HRM channel when several channels were exported
+    const titles = rows.map((row, index) => ({ row, index })).filter(({ row }) => isRotorGeneTitle(row));
+    const title = titles.find(({ row }) => /hrm/i.test(row.join(' '))) || titles[0];
+    const header = findRotorGeneHeader(rows, title ? title.index : 0);
+    if (!header) {
+      throw new Error('No temperature column with tube columns found in Rotor-Gene export');
+    }
+
+    const { index, tempCol, tubes } = header;
+    let start = index + 1;
+
+    // Optional row of sample names under the tube numbers
+    const nameRow = rows[start];
+    if (nameRow && /^(name|sample|sample name)s?$/i.test(String(nameRow[tempCol]).trim())) {
+      tubes.forEach(tube => {
+        const name = String(nameRow[tube.col] || '').trim();
+        if (name) tube.sampleName = name;
+      });
+      start++;
+    }
+
+    const samples = tubes.map(tube => ({
+      well: String(tube.number),
+      wellIndex: tube.number - 1,
+      sampleName: tube.sampleName,
+      temperatures: [],
+      values: []
+    }));
+
+    // Readings run until the next blank line or channel block
+    for (let i = start; i < rows.length; i++) {
+      const row = rows[i];
+      if (isRotorGeneTitle(row)) break;
+      const temperature = parseFloat(row[tempCol]);
+      if (isNaN(temperature)) {
+        if (row.every(cell => String(cell).trim() === '')) break;
+        continue;
+      }
+      tubes.forEach((tube, t) => {
+        const value = parseFloat(row[tube.col]);
+        if (isNaN(value)) return;
+        samples[t].temperatures.push(temperature);
+        samples[t].values.push(value);
+      });
+    }
+
+    const withData = samples.filter(s => s.values.length > 0);
+    if (withData.length === 0) {
+      throw new Error('Rotor-Gene export contains no melt readings');
+    }
+
+    const result = formatSamples(withData, null);
+    result.channel = title ? title.row.find(cell => String(cell).trim()).trim() : null;
+    return result;
+  }
+};
+
+function parseRows(text) {
+  return Papa.parse(text.trim(), { skipEmptyLines: false }).data;
+}
+
+function findCFXHeader(rows) {
+  for (let index = 0; index < Math.min(rows.length, 50); index++) {
+    const cells = rows[index].map(cell => String(cell).trim());
+    const tempCol = cells.findIndex(cell => /^temperature$/i.test(cell));
+    if (tempCol < 0) continue;
+
+    const wellCols = [];
+    cells.forEach((cell, col) => {
+      const position = col > tempCol ? parseWellId(cell) : null;
+      if (position) wellCols.push({ col, position });
+    });
+
+    // Every column after the temperature must be a well
+    const trailing = cells.slice(tempCol + 1).filter(cell => cell !== '').length;
+    if (wellCols.length > 0 && wellCols.length === trailing) {
+      return { index, tempCol, wellCols };
+    }
+  }
+  return null;
+}
+
+function findLightCyclerHeader(lines) {
+  for (let index = 0; index < Math.min(lines.length, 50); index++) {
+    const columns = lines[index].split('\t').map(cell => cell.trim());
+    const lower = columns.map(c => c.toLowerCase());
+    if (lower.includes('samplepos') && lower.includes('temp')) {
+      return { index, columns };
+    }
+  }
+  return null;
+}
+
+function isRotorGeneTitle(row) {
+  const first = row.find(cell => String(cell).trim() !== '');
+  return first !== undefined && /^melt (data )?(on|for) \w+/i.test(String(first).trim());
+}
+
+function findRotorGeneHeader(rows, from) {
+  for (let index = from; index < Math.min(rows.length, from + 20); index++) {
+    const cells = rows[index].map(cell => String(cell).trim());
+    const tempCol = cells.findIndex(cell => /^(temp(erature)?|degrees|°c)(\s*\(°c\))?$/i.test(cell));
+    if (tempCol < 0) continue;
+
+    const tubes = [];
+    cells.forEach((cell, col) => {
+      const match = col > tempCol ? /^(\d+)(?:[.:)\s-]+(.*))?$/.exec(cell) : null;
+      if (match) {
+        tubes.push({ col, number: parseInt(match[1]), sampleName: (match[2] || '').trim() });
+      }
+    });
+    if (tubes.length > 0) return { index, tempCol, tubes };
+  }
+  return null;
+}
+
+// 96-well layout unless a position lies outside A1-H12
+function plateForWells(positions) {
+  const is384 = positions.some(p => p.row > 7 || p.column > 11);
+  return is384 ? { rows: 16, columns: 24 } : { rows: 8, columns: 12 };
+}
+
+// Per-sample temperatures become paired columns; DataProcessor resamples them
+function formatSamples(samples, plate) {
+  const usedNames = new Set();
+  const sampleInfo = {};
+
+  const columnsData = samples.map((s, idx) => {
+    let name = s.sampleName ? `${s.well} ${s.sampleName}` : s.well;
+    if (usedNames.has(name)) {
+      name = `${name}_${idx + 1}`;
+    }
+    usedNames.add(name);
+    sampleInfo[name] = { well: s.well, wellIndex: s.wellIndex, sampleName: s.sampleName || '' };
+    return { name, temperatures: s.temperatures, values: s.values };
+  });
+
+  return {
+    ...buildPairedColumns(columnsData),
+    sampleCount: columnsData.length,
+    sampleInfo,
+    plate
+  };
+}
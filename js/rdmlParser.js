@@ -0,0 +1,282 @@
+// RDML Parser Module
+// Real-time PCR Data Markup Language: zipped (.rdml) or plain XML qPCR and melt data
+import { wellIndexToId, parseWellId, buildPairedColumns, loadJSZip } from './utils.js';
+
+// RDML sample types and the plate-setup tasks used elsewhere in the app
+export const RDML_SAMPLE_TYPES = {
+  unkn: 'UNKNOWN',
+  ntc: 'NTC',
+  std: 'STANDARD',
+  pos: 'POSITIVE',
+  neg: 'NEGATIVE',
+  nac: 'NAC',
+  nrt: 'NRT',
+  ntp: 'NTP',
+  opt: 'OPTICAL'
+};
+
+export class RDMLParser {
+  async parseRDMLFile(file) {
+    try {
+      const xmlText = await this.readXML(file);
+      const root = new DOMParser().parseFromString(xmlText, 'application/xml').documentElement;
+      if (!root || root.localName !== 'rdml') {
+        throw new Error('rdml_data.xml has no <rdml> root element');
+      }
+
+      const dyes = new Map(children(root, 'dye').map(el => [el.getAttribute('id'), text(el, 'description')]));
+      const samples = new Map(children(root, 'sample').map(el => [el.getAttribute('id'), this.parseSample(el)]));
+      const targets = new Map(children(root, 'target').map(el => {
+        const dyeId = child(el, 'dyeId');
+        return [el.getAttribute('id'), {
+          type: text(el, 'type'),
+          dye: dyeId ? dyeId.getAttribute('id') : null
+        }];
+      }));
+
+      // One run is one plate: use the first run with melt data, else the first with amplification data
+      const runs = children(root, 'experiment').flatMap(exp =>
+        children(exp, 'run').map(run => ({ experiment: exp.getAttribute('id'), run }))
+      );
+      const hasData = (run, tag) => run.getElementsByTagNameNS('*', tag).length > 0;
+      const selected = runs.find(({ run }) => hasData(run, 'mdp')) || runs.find(({ run }) => hasData(run, 'adp'));
+      if (!selected) {
+        throw new Error('No melt or amplification data points found in RDML file');
+      }
+      const runName = ({ experiment, run }) => `${experiment} / ${run.getAttribute('id')}`;
+      const skippedRuns = runs.filter(entry => entry !== selected).map(runName);
+      const importNotes = skippedRuns.length > 0
+        ? `run ${runName(selected)} of ${runs.length}; not read: ${skippedRuns.join(', ')}`
+        : null;
+
+      const { run } = selected;
+      const plate = this.parsePcrFormat(child(run, 'pcrFormat'));
+      const reactions = this.parseReactions(run, plate, samples, targets, dyes);
+      const amplification = this.formatAmplification(reactions);
+      const meltSamples = reactions.filter(r => r.melt.x.length > 0);
+
+      const runInfo = {
+        experiment: {
+          name: runName(selected),
+          instrument: text(run, 'instrument'),
+          runStart: text(run, 'runDate')
+        },
+        protocol: null,
+        plateType: plate.rows && plate.columns ? `${plate.rows * plate.columns}-well` : null
+      };
+
+      if (meltSamples.length === 0) {
+        // Amplification-only run: nothing to melt-analyze
+        return {
+          headers: ['Temperature'],
+          tempHeader: 'Temperature',
+          data: [],
+          sampleCount: 0,
+          sampleInfo: {},
+          plate: plate.rows ? { rows: plate.rows, columns: plate.columns } : null,
+          amplification,
+          runInfo,
+          skippedRuns,
+          importNotes
+        };
+      }
+
+      return {
+        ...this.formatMeltSamples(meltSamples),
+        plate: plate.rows ? { rows: plate.rows, columns: plate.columns } : null,
+        amplification,
+        runInfo,
+        skippedRuns,
+        importNotes
+      };
+    } catch (error) {
+      console.error('RDML parsing error:', error);
+      throw new Error(`Failed to parse RDML file: ${error.message}`);
+    }
+  }
+
+  // .rdml files are ZIP archives holding rdml_data.xml; plain XML is accepted too
+  async readXML(file) {
+    const head = new Uint8Array(await file.slice(0, 2).arrayBuffer());
+    if (head[0] !== 0x50 || head[1] !== 0x4b) {
+      return file.text();
+    }
+
+    const JSZip = await loadJSZip();
+    const zip = await JSZip.loadAsync(file);
+    const entry = zip.file('rdml_data.xml') || zip.file(/\.xml$/i)[0];
+    if (!entry) {
+      throw new Error('No rdml_data.xml in RDML archive');
+    }
+    return entry.async('text');
+  }
+
+  parseSample(el) {
+    const annotations = {};
+    children(el, 'annotation').forEach(annotation => {
+      const property = text(annotation, 'property');
+      if (property) annotations[property] = text(annotation, 'value') || '';
+    });
+
+    const type = text(el, 'type') || 'unkn';
+    return {
+      description: text(el, 'description'),
+      task: RDML_SAMPLE_TYPES[type] || type.toUpperCase(),
+      annotations
+    };
+  }
+
+  parsePcrFormat(el) {
+    if (!el) return { rows: null, columns: null, rowLabel: '123', columnLabel: '123' };
+    return {
+      rows: parseInt(text(el, 'rows')) || null,
+      columns: parseInt(text(el, 'columns')) || null,
+      rowLabel: text(el, 'rowLabel') || 'ABC',
+      columnLabel: text(el, 'columnLabel') || '123'
+    };
+  }
+
+  parseReactions(run, plate, samples, targets, dyes) {
+    const reactions = [];
+
+    children(run, 'react').forEach(reactEl => {
+      const { well, wellIndex } = this.reactPosition(reactEl.getAttribute('id'), plate);
+      const sampleEl = child(reactEl, 'sample');
+      const sampleId = sampleEl ? sampleEl.getAttribute('id') : '';
+      const sample = samples.get(sampleId) || { task: 'UNKNOWN', annotations: {} };
+
+      children(reactEl, 'data').forEach(dataEl => {
+        const tarEl = child(dataEl, 'tar');
+        const targetId = tarEl ? tarEl.getAttribute('id') : '';
+        const target = targets.get(targetId) || {};
+        const cq = parseFloat(text(dataEl, 'cq'));
+
+        reactions.push({
+          well,
+          wellIndex,
+          sampleName: sampleId,
+          task: sample.task,
+          annotations: sample.annotations,
+          detector: targetId,
+          reporter: target.dye ? dyes.get(target.dye) || target.dye : null,
+          instrumentCt: isNaN(cq) || cq < 0 ? null : cq,
+          instrumentTm: children(dataEl, 'meltTemp').map(el => parseFloat(el.textContent)).filter(v => !isNaN(v)),
+          amplification: points(dataEl, 'adp', 'cyc'),
+          melt: points(dataEl, 'mdp', 'tmp')
+        });
+      });
+    });
+
+    return reactions;
+  }
+
+  // React ids count positions row by row from 1; RDML 1.3 also allows "A1"-style ids
+  reactPosition(id, plate) {
+    const number = parseInt(id);
+    const columns = plate.columns || 12;
+
+    if (String(number) === String(id).trim()) {
+      const wellIndex = number - 1;
+      const isPlate = /^[A-Z]/i.test(plate.rowLabel) && plate.columns;
+      return { well: isPlate ? wellIndexToId(wellIndex, columns) : String(number), wellIndex };
+    }
+
+    const position = parseWellId(id);
+    if (position) {
+      const wellIndex = position.row * columns + position.column;
+      return { well: wellIndexToId(wellIndex, columns), wellIndex };
+    }
+    return { well: String(id), wellIndex: null };
+  }
+
+  formatMeltSamples(reactions) {
+    const usedNames = new Set();
+    const sampleInfo = {};
+
+    const columnsData = reactions.map((r, idx) => {
+      let name = r.sampleName ? `${r.well} ${r.sampleName}` : r.well;
+      if (usedNames.has(name)) {
+        name = `${name}_${r.detector || idx + 1}`;
+      }
+      usedNames.add(name);
+
+      sampleInfo[name] = {
+        well: r.well,
+        wellIndex: r.wellIndex,
+        sampleName: r.sampleName,
+        task: r.task,
+        detector: r.detector,
+        reporter: r.reporter,
+        annotations: r.annotations,
+        instrumentTm: r.instrumentTm,
+        instrumentDerivative: null
+      };
+      return { name, temperatures: r.melt.x, values: r.melt.y };
+    });
+
+    console.log(`Parsed ${columnsData.length} melt curves from RDML file`);
+
+    return {
+      ...buildPairedColumns(columnsData),
+      sampleCount: columnsData.length,
+      sampleInfo
+    };
+  }
+
+  formatAmplification(reactions) {
+    const withCycles = reactions.filter(r => r.amplification.x.length > 0);
+    if (withCycles.length === 0) return null;
+
+    // Align every well on the cycle numbers of the longest run
+    const cycles = withCycles
+      .map(r => r.amplification.x)
+      .reduce((longest, current) => (current.length > longest.length ? current : longest));
+
+    const wells = withCycles.map(r => {
+      const byCycle = new Map(r.amplification.x.map((cycle, i) => [cycle, r.amplification.y[i]]));
+      return {
+        wellNumber: r.wellIndex,
+        well: r.well,
+        sampleName: r.sampleName,
+        detector: r.detector,
+        task: r.task,
+        instrumentCt: r.instrumentCt,
+        rn: cycles.map(cycle => (byCycle.has(cycle) ? byCycle.get(cycle) : null)),
+        deltaRn: null,
+        plateColor: null
+      };
+    });
+
+    console.log(`Parsed amplification data for ${wells.length} wells, ${cycles.length} cycles`);
+    return { cycles, wells };
+  }
+}
+
+// Namespace-agnostic helpers (RDML uses a default namespace, some writers add a prefix)
+function children(parent, localName) {
+  return Array.from(parent.children).filter(el => el.localName === localName);
+}
+
+function child(parent, localName) {
+  return children(parent, localName)[0] || null;
+}
+
+function text(parent, localName) {
+  const el = child(parent, localName);
+  return el ? el.textContent.trim() : null;
+}
+
+// <adp><cyc/><fluor/></adp> or <mdp><tmp/><fluor/></mdp> as parallel x/y arrays
+function points(dataEl, tag, xTag) {
+  const x = [];
+  const y = [];
+  children(dataEl, tag).forEach(el => {
+    const position = parseFloat(text(el, xTag));
+    const fluor = parseFloat(text(el, 'fluor'));
+    if (!isNaN(position) && !isNaN(fluor)) {
+      x.push(position);
+      y.push(fluor);
+    }
+  });
+  return { x, y };
+}
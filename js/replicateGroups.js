@@ -0,0 +1,96 @@
+// Replicate Groups Module
+// Groups replicate wells (manual assignment, sample sheet replicate set, or identical sample names),
+// summarizes each group's Tm and mean curves, and flags replicates that deviate from their siblings
+import { mean, median, formatNumber } from './utils.js';
+import { hasClearMelt, transitionWindow, rmsDistance, centroid } from './genotypeClustering.js';
+
+// Curves averaged per group for the charts
+const MEAN_CURVES = ['normalized', 'derivative', 'difference'];
+
+export class ReplicateGrouper {
+  // Sets replicateGroup, replicateFlag, replicateDeviation and excluded on each sample. Returns the groups of
+  // two or more replicates: [{ name, members, used, meanTm, sdTm, cvTm, flagged, normalized, derivative,
+  // difference }], with members, used (not excluded) and flagged as sample indices.
+  // assignments maps sample names to manual group names; excluded lists excluded sample names.
+  group(temperatures, samples, { assignments, excluded, tmTolerance, curveTolerance }) {
+    const excludedNames = new Set(excluded);
+    const byName = new Map();
+    samples.forEach((sample, idx) => {
+      sample.replicateGroup = null;
+      sample.replicateFlag = null;
+      sample.replicateDeviation = null;
+      sample.excluded = excludedNames.has(sample.name);
+
+      const name = replicateKey(sample, assignments);
+      if (!name) return;
+      if (!byName.has(name)) byName.set(name, []);
+      byName.get(name).push(idx);
+    });
+
+    const window = transitionWindow(temperatures, samples.filter(hasClearMelt));
+    const curve = sample => window.indices.map(i => (sample.shifted || sample.normalized)[i]);
+
+    return [...byName.entries()]
+      .filter(([, members]) => members.length > 1)
+      .map(([name, members]) => {
+        members.forEach(idx => { samples[idx].replicateGroup = name; });
+        const used = members.filter(idx => !samples[idx].excluded);
+        const melting = used.filter(idx => hasClearMelt(samples[idx]) && samples[idx].tm !== undefined);
+
+        // Each replicate against the others: Tm against their median, curve against their mean
+        const flagged = [];
+        melting.forEach(idx => {
+          const siblings = melting.filter(other => other !== idx).map(other => samples[other]);
+          if (siblings.length === 0) return;
+
+          const sample = samples[idx];
+          const tm = sample.tm - median(siblings.map(sibling => sibling.tm));
+          const distance = rmsDistance(curve(sample), centroid(siblings.map(curve)));
+          const reasons = [];
+          if (Math.abs(tm) > tmTolerance) reasons.push(`Tm ${tm > 0 ? '+' : ''}${formatNumber(tm, 2)} °C from siblings`);
+          if (distance > curveTolerance) reasons.push(`curve RMS difference ${formatNumber(distance, 3)} from siblings`);
+
+          sample.replicateDeviation = { tm, curve: distance };
+          if (reasons.length > 0) {
+            sample.replicateFlag = reasons.join('; ');
+            flagged.push(idx);
+          }
+        });
+
+        const tms = melting.map(idx => samples[idx].tm);
+        const meanTm = tms.length > 0 ? mean(tms) : null;
+        // Sample standard deviation (n - 1), as usual for replicates
+        const sdTm = tms.length > 1
+          ? Math.sqrt(tms.reduce((sum, tm) => sum + Math.pow(tm - meanTm, 2), 0) / (tms.length - 1))
+          : null;
+
+        const group = { name, members, used, meanTm, sdTm, cvTm: sdTm !== null ? sdTm / meanTm * 100 : null, flagged };
+        MEAN_CURVES.forEach(key => {
+          const curves = used.map(idx => samples[idx][key]).filter(Boolean);
+          group[key] = curves.length > 0 ? centroid(curves) : null;
+        });
+        return group;
+      });
+  }
+
+  describe(groups, { tmTolerance, curveTolerance }) {
+    if (groups.length === 0) return 'No replicate groups (no repeated sample names or assigned groups)';
+    const flagged = groups.reduce((sum, group) => sum + group.flagged.length, 0);
+    const excluded = groups.reduce((sum, group) => sum + group.members.length - group.used.length, 0);
+    const spread = groups.map(group => group.sdTm).filter(sd => sd !== null);
+    return `${groups.length} group(s) of ${groups.reduce((sum, group) => sum + group.members.length, 0)} replicates` +
+      (spread.length > 0 ? `; median Tm SD ${formatNumber(median(spread), 3)} °C` : '') +
+      `; ${flagged} flagged (Tm more than ${formatNumber(tmTolerance, 2)} °C or curve RMS more than ` +
+      `${formatNumber(curveTolerance, 3)} from siblings)` +
+      (excluded > 0 ? `; ${excluded} excluded` : '');
+  }
+}
+
+// Group of a sample: its manual assignment, else the sample sheet replicate set, else the plate setup
+// sample name (or the column header without the " (n)" that makes repeated headers unique)
+export function replicateKey(sample, assignments) {
+  if (assignments[sample.name]) return assignments[sample.name];
+  if (sample.replicateSet) return sample.replicateSet;
+  if (sample.sampleName) return sample.sampleName;
+  return sample.well ? null : sample.name.replace(/ \(\d+\)$/, '');
+}
@@ -0,0 +1,201 @@
+// Run Info Panel Module
+// Instrument, run and thermal protocol metadata read from .eds files
+import { formatNumber } from './utils.js';
+
+const STAGE_NAMES = {
+  PRE_CYCLING: 'Hold',
+  CYCLING: 'Cycling',
+  DISSOCIATION: 'Melt Curve',
+  MELT: 'Melt Curve',
+  POST_CYCLING: 'Hold'
+};
+
+// Flat [label, value] list used by the panel and by every export
+export function describeRunInfo(runInfo) {
+  if (!runInfo) return [];
+
+  const experiment = runInfo.experiment || {};
+  const protocol = runInfo.protocol || {};
+  const rows = [
+    ['Experiment', experiment.name],
+    ['Operator', experiment.operator],
+    ['Instrument', experiment.instrument],
+    ['Run State', experiment.runState],
+    ['Run Start', formatDate(experiment.runStart)],
+    ['Run End', formatDate(experiment.runEnd)],
+    ['Experiment Type', experiment.experimentType],
+    ['Chemistry', experiment.chemistry],
+    ['Plate', runInfo.plateType],
+    ['Block', protocol.blockId ? `Block ID ${protocol.blockId}${protocol.runMode ? ` (${protocol.runMode} mode)` : ''}` : null],
+    ['Sample Volume', protocol.sampleVolume ? `${protocol.sampleVolume} µL` : null],
+    ['Cover Temperature', protocol.coverTemperature ? `${protocol.coverTemperature} °C` : null],
+    ['Melt Ramp Rate', protocol.meltRampRate ? `${protocol.meltRampRate} %` : null],
+    ['Melt Step', protocol.meltStepSize ? `${protocol.meltStepSize} °C` : null],
+    ['Thermal Protocol', protocol.stages ? describeStages(protocol.stages) : null]
+  ];
+
+  return rows.filter(([, value]) => value !== null && value !== undefined && value !== '');
+}
+
+// One-line summary for chart captions
+export function summarizeRunInfo(runInfo) {
+  if (!runInfo || !runInfo.experiment) return '';
+  const { name, instrument, runStart } = runInfo.experiment;
+  return [name, instrument, formatDate(runStart)].filter(Boolean).join(' · ');
+}
+
+// describeRunInfo for every run of a multi-file experiment, labels prefixed with the run
+export function describeRuns(runs) {
+  return runs.flatMap(run => [
+    ['Run', `${run.label} (${run.filename}, ${run.format})`],
+    ...describeRunInfo(run.runInfo).map(([label, value]) => [`${run.label} ${label}`, value])
+  ]);
+}
+
+// summarizeRunInfo of every run that has metadata
+export function summarizeRuns(runs) {
+  return runs
+    .map(run => {
+      const summary = summarizeRunInfo(run.runInfo);
+      return summary ? `${run.label}: ${summary}` : '';
+    })
+    .filter(Boolean)
+    .join('; ');
+}
+
+function describeStages(stages) {
+  return stages.map(stage => {
+    const name = stageName(stage);
+    const steps = stage.steps
+      .map(step => `${formatNumber(step.temperature, 1)}°C ${formatHoldTime(step.holdTime)}`)
+      .join(', ');
+    return `${name}${stage.repetitions > 1 ? ` ×${stage.repetitions}` : ''}: ${steps}`;
+  }).join(' | ');
+}
+
+function stageName(stage) {
+  return STAGE_NAMES[stage.flag] || stage.flag || 'Stage';
+}
+
+function formatHoldTime(seconds) {
+  if (isNaN(seconds)) return '';
+  const mins = Math.floor(seconds / 60);
+  const secs = Math.round(seconds % 60);
+  return `${mins}:${String(secs).padStart(2, '0')}`;
+}
+
+function formatDate(iso) {
+  return iso ? new Date(iso).toLocaleString() : null;
+}
+
+export class RunInfoPanel {
+  constructor() {
+    this.container = document.getElementById('runInfoContent');
+  }
+
+  render(runInfo) {
+    if (!this.container) return;
+
+    this.container.innerHTML = '';
+    if (!runInfo) return;
+
+    this.renderSection(runInfo);
+  }
+
+  // Merged experiments: one section per run, headed by its file
+  renderRuns(runs) {
+    if (!this.container) return;
+
+    this.container.innerHTML = '';
+    runs.forEach(run => {
+      const heading = document.createElement('h5');
+      heading.className = 'run-info-heading';
+      heading.textContent = `${run.label} (${run.filename}, ${run.format})`;
+      this.container.appendChild(heading);
+
+      if (run.runInfo) {
+        this.renderSection(run.runInfo);
+      }
+    });
+  }
+
+  renderSection(runInfo) {
+    const table = document.createElement('table');
+    table.className = 'data-table run-info-table';
+    describeRunInfo(runInfo)
+      .filter(([label]) => label !== 'Thermal Protocol')
+      .forEach(([label, value]) => {
+        const row = document.createElement('tr');
+        const th = document.createElement('th');
+        const td = document.createElement('td');
+        th.textContent = label;
+        td.textContent = value;
+        row.appendChild(th);
+        row.appendChild(td);
+        table.appendChild(row);
+      });
+    this.container.appendChild(table);
+
+    if (runInfo.protocol && runInfo.protocol.stages.length > 0) {
+      const diagram = document.createElement('div');
+      diagram.className = 'protocol-diagram';
+      diagram.innerHTML = this.renderProtocolDiagram(runInfo.protocol.stages);
+      this.container.appendChild(diagram);
+    }
+  }
+
+  // Step plot of the thermal protocol: one plateau per step, ramps between them
+  renderProtocolDiagram(stages) {
+    const stepWidth = 110;
+    const rampWidth = 30;
+    const top = 40;
+    const plotHeight = 160;
+    const bottom = top + plotHeight;
+    const height = bottom + 30;
+
+    const allSteps = stages.flatMap(stage => stage.steps);
+    const temps = allSteps.map(step => step.temperature);
+    const minTemp = Math.min(25, ...temps);
+    const maxTemp = Math.max(...temps);
+    const y = temp => bottom - ((temp - minTemp) / (maxTemp - minTemp || 1)) * plotHeight;
+
+    let x = rampWidth;
+    let prevY = y(minTemp);
+    const parts = [];
+
+    stages.forEach(stage => {
+      const stageStart = x;
+      const stagePartIdx = parts.length;
+
+      stage.steps.forEach(step => {
+        const stepY = y(step.temperature);
+        const isMelt = step.collectionFlag === 2;
+
+        // Ramp into this step; the melt ramp is where melt data is collected
+        parts.push(`<line x1="${x - rampWidth}" y1="${prevY}" x2="${x}" y2="${stepY}" class="${isMelt ? 'protocol-melt' : 'protocol-line'}" />`);
+        parts.push(`<line x1="${x}" y1="${stepY}" x2="${x + stepWidth - rampWidth}" y2="${stepY}" class="protocol-line" />`);
+        parts.push(`<text x="${x + 4}" y="${stepY - 6}" class="protocol-temp">${formatNumber(step.temperature, 1)}°C</text>`);
+        parts.push(`<text x="${x + 4}" y="${stepY + 14}" class="protocol-hold">${formatHoldTime(step.holdTime)}</text>`);
+
+        if (isMelt) {
+          parts.push(`<text x="${x - rampWidth}" y="${stepY + 28}" class="protocol-hold">ramp ${step.rampRate}%${step.deltaTemperature ? `, ${step.deltaTemperature}°C steps` : ''}</text>`);
+        }
+        if (step.collectionFlag === 1) {
+          parts.push(`<circle cx="${x + stepWidth - rampWidth - 6}" cy="${stepY}" r="4" class="protocol-collect" />`);
+        }
+
+        prevY = stepY;
+        x += stepWidth;
+      });
+
+      const label = `${stageName(stage)}${stage.repetitions > 1 ? ` ×${stage.repetitions}` : ''}`;
+      // Stage background goes behind its steps
+      parts.splice(stagePartIdx, 0,
+        `<rect x="${stageStart - rampWidth / 2}" y="8" width="${x - stageStart}" height="${bottom - 8}" class="protocol-stage" />`,
+        `<text x="${stageStart}" y="24" class="protocol-stage-label">${label}</text>`
+      );
+    });
+
+    return `<svg viewBox="0 0 ${x} ${height}" width="${x}" height="${height}" role="img" aria-label="Thermal protocol">${parts.join('')}</svg>`;
+  }
+}
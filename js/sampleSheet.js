@@ -0,0 +1,109 @@
+// Sample Sheet Module
+// Per-well annotations (sample ID, group, replicate set, expected genotype, notes) from a CSV keyed by well or sample name
+import { parseWellId } from './utils.js';
+
+// Annotation fields set on each matched sample, with their export labels
+export const SAMPLE_SHEET_FIELDS = [
+  { key: 'sampleId', label: 'Sample ID' },
+  { key: 'group', label: 'Group' },
+  { key: 'replicateSet', label: 'Replicate Set' },
+  { key: 'expectedGenotype', label: 'Expected Genotype' },
+  { key: 'notes', label: 'Notes' }
+];
+
+// Accepted column headers, compared lowercase without spaces or punctuation
+const COLUMN_PATTERNS = {
+  well: /^(well|wellposition|wellid|pos|position|samplepos)$/,
+  name: /^(sample|samplename|name)$/,
+  run: /^(run|plate|file)$/,
+  sampleId: /^(sampleid|id|patientid|patient|subject|subjectid)$/,
+  group: /^(group|cohort|condition)$/,
+  replicateSet: /^(replicate|replicateset|replicategroup|rep)$/,
+  expectedGenotype: /^(expectedgenotype|genotype|expected)$/,
+  notes: /^(notes?|comments?|remarks?)$/
+};
+
+export class SampleSheet {
+  constructor() {
+    this.filename = null;
+    this.entries = [];
+  }
+
+  async parse(file) {
+    const rows = await new Promise((resolve, reject) => {
+      Papa.parse(file, {
+        header: true,
+        skipEmptyLines: 'greedy',
+        complete: (results) => resolve(results.data),
+        error: (error) => reject(new Error(`Failed to parse sample sheet: ${error.message}`))
+      });
+    });
+
+    const headers = rows.length > 0 ? Object.keys(rows[0]) : [];
+    const columns = {};
+    Object.entries(COLUMN_PATTERNS).forEach(([key, pattern]) => {
+      const header = headers.find(h => pattern.test(h.toLowerCase().replace(/[^a-z0-9]/g, '')));
+      if (header !== undefined) columns[key] = header;
+    });
+
+    if (!columns.well && !columns.name) {
+      throw new Error('Sample sheet needs a "Well" or "Sample Name" column');
+    }
+    if (!SAMPLE_SHEET_FIELDS.some(({ key }) => columns[key])) {
+      throw new Error('Sample sheet has no Sample ID, Group, Replicate, Genotype or Notes column');
+    }
+
+    const cell = (row, key) => (columns[key] ? String(row[columns[key]] || '').trim() : '');
+    this.entries = rows
+      .map(row => {
+        const entry = { well: cell(row, 'well'), name: cell(row, 'name'), run: cell(row, 'run') };
+        SAMPLE_SHEET_FIELDS.forEach(({ key }) => {
+          entry[key] = cell(row, key);
+        });
+        return entry;
+      })
+      .filter(entry => entry.well || entry.name);
+
+    if (this.entries.length === 0) {
+      throw new Error('Sample sheet contains no wells or sample names');
+    }
+
+    this.filename = file.name;
+    return this;
+  }
+
+  hasData() {
+    return this.entries.length > 0;
+  }
+
+  // Entry for a sample: by well (within its run, if the sheet names runs), else by sample name
+  find(sample) {
+    const inRun = this.entries.filter(entry => !entry.run || !sample.run || entry.run === sample.run);
+    const wellKey = wellMatchKey(sample.well);
+
+    return (wellKey && inRun.find(entry => wellMatchKey(entry.well) === wellKey)) ||
+      inRun.find(entry => entry.name && [sample.sampleName, sample.name]
+        .some(name => name && name.toLowerCase() === entry.name.toLowerCase())) ||
+      null;
+  }
+
+  // Copies the annotation fields onto matching samples (clearing old ones); returns the match count
+  annotate(samples) {
+    let matched = 0;
+    samples.forEach(sample => {
+      const entry = this.find(sample);
+      if (entry) matched++;
+      SAMPLE_SHEET_FIELDS.forEach(({ key }) => {
+        sample[key] = entry && entry[key] ? entry[key] : null;
+      });
+    });
+    return matched;
+  }
+}
+
+// "B03", "b3" and "B3" match; tube numbers and other labels compare as text
+function wellMatchKey(well) {
+  if (!well) return null;
+  const position = parseWellId(well);
+  return position ? `${position.row}:${position.column}` : String(well).trim().toLowerCase();
+}
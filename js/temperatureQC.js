@@ -0,0 +1,178 @@
+// Temperature QC Module
+// Checks the recorded block temperatures of the melt stage against the programmed protocol
+import { linearFit, formatNumber } from './utils.js';
+
+// Sensors that are not part of the block (the heated lid runs at its own setpoint)
+const NON_ZONE_SENSORS = /cover|lid/i;
+
+export class TemperatureQC {
+  constructor() {
+    this.log = null;
+    this.protocol = null;
+    this.results = null;
+    this.settings = {
+      fullRampRate: 1.6, // °C/s at a programmed ramp rate of 100%
+      rampTolerance: 25, // % deviation from the programmed ramp rate
+      rampLinearity: 1.0, // °C maximum departure from a straight ramp
+      zoneThreshold: 0.5 // °C maximum spread between block sensors
+    };
+  }
+
+  setData(log, protocol) {
+    this.log = log;
+    this.protocol = protocol;
+    this.results = null;
+  }
+
+  hasData() {
+    return !!(this.log && this.log.time.length > 0);
+  }
+
+  analyze(settings = {}) {
+    if (!this.hasData()) return null;
+
+    this.settings = { ...this.settings, ...settings };
+
+    const { time, columns, series } = this.log;
+    const zones = columns.filter(name => !NON_ZONE_SENSORS.test(name));
+    const reference = zones.includes('Block') ? 'Block' : zones[0] || columns[0];
+    const meltStep = this.findMeltStep();
+    const flags = [];
+
+    // No melt stage programmed: show the whole run without ramp checks
+    const window = meltStep ? this.findMeltWindow(series[reference], meltStep) : null;
+    if (!window) {
+      this.results = {
+        meltStep,
+        reference,
+        zones,
+        window: { start: 0, end: time.length - 1 },
+        ramp: null,
+        zoneSpread: null,
+        flags,
+        passed: null,
+        message: meltStep ? 'Melt stage not found in the temperature log' : 'No melt stage in the thermal protocol'
+      };
+      return this.results;
+    }
+
+    // 1. Ramp: straight-line fit over the ramp, away from its start and end
+    const rampIdx = [];
+    for (let i = window.start; i <= window.end; i++) {
+      const temp = series[reference][i];
+      if (temp >= meltStep.startTemp + 1 && temp <= meltStep.endTemp - 1) {
+        rampIdx.push(i);
+      }
+    }
+
+    let ramp = null;
+    if (rampIdx.length >= 2) {
+      const { slope, intercept } = linearFit(rampIdx.map(i => time[i]), rampIdx.map(i => series[reference][i]));
+      const expectedRate = meltStep.rampRate / 100 * this.settings.fullRampRate;
+      const rateDeviation = (slope - expectedRate) / expectedRate * 100;
+      const maxResidual = Math.max(...rampIdx.map(i => Math.abs(series[reference][i] - (slope * time[i] + intercept))));
+
+      ramp = { rate: slope, intercept, expectedRate, rateDeviation, maxResidual, start: rampIdx[0], end: rampIdx[rampIdx.length - 1] };
+
+      if (Math.abs(rateDeviation) > this.settings.rampTolerance) {
+        flags.push(`Melt ramp ran at ${formatNumber(slope * 60, 2)} °C/min, ${formatNumber(rateDeviation, 0)}% from the programmed ${formatNumber(expectedRate * 60, 2)} °C/min`);
+      }
+      if (maxResidual > this.settings.rampLinearity) {
+        flags.push(`${reference} temperature departed ${formatNumber(maxResidual, 2)} °C from a steady ramp`);
+      }
+    } else {
+      flags.push('Too few readings on the melt ramp to check the ramp rate');
+    }
+
+    // 2. Zones: spread between block sensors at each reading of the ramp
+    let zoneSpread = null;
+    if (zones.length > 1 && rampIdx.length > 0) {
+      let max = 0;
+      let maxIdx = rampIdx[0];
+      rampIdx.forEach(i => {
+        const values = zones.map(name => series[name][i]);
+        const spread = Math.max(...values) - Math.min(...values);
+        if (spread > max) {
+          max = spread;
+          maxIdx = i;
+        }
+      });
+      zoneSpread = { max, at: series[reference][maxIdx] };
+
+      if (max > this.settings.zoneThreshold) {
+        flags.push(`${zones.join('/')} diverged by ${formatNumber(max, 2)} °C at ${formatNumber(zoneSpread.at, 1)} °C`);
+      }
+    }
+
+    this.results = {
+      meltStep,
+      reference,
+      zones,
+      window,
+      ramp,
+      zoneSpread,
+      flags,
+      passed: flags.length === 0,
+      message: flags.length === 0 ? 'Melt ramp and block zones within limits' : `${flags.length} issue(s) found`
+    };
+
+    return this.results;
+  }
+
+  // Continuous-collection step and the temperature it ramps from
+  findMeltStep() {
+    if (!this.protocol || !this.protocol.stages) return null;
+
+    let previous = null;
+    for (const stage of this.protocol.stages) {
+      for (const step of stage.steps) {
+        if (step.collectionFlag === 2 && previous) {
+          return { startTemp: previous.temperature, endTemp: step.temperature, rampRate: step.rampRate };
+        }
+        previous = step;
+      }
+    }
+    return null;
+  }
+
+  // Last climb from the start temperature up to the end temperature
+  findMeltWindow(values, meltStep) {
+    let end = -1;
+    for (let i = values.length - 1; i >= 0; i--) {
+      if (values[i] >= meltStep.endTemp - 0.5) {
+        end = i;
+        break;
+      }
+    }
+    if (end < 0) return null;
+
+    let start = end;
+    while (start > 0 && values[start - 1] > meltStep.startTemp + 0.3) {
+      start--;
+    }
+    // Include the hold the ramp starts from
+    start = Math.max(0, start - 1);
+
+    return start < end ? { start, end } : null;
+  }
+
+  getResults() {
+    return this.results;
+  }
+
+  // [label, value] rows for export metadata
+  describe() {
+    if (!this.results) return [];
+
+    const { passed, flags, message } = this.results;
+    const status = passed === null ? `Not checked (${message})` : passed ? 'Passed' : `Failed: ${flags.join('; ')}`;
+    const rows = [['Block QC', status]];
+    if (this.results.ramp) {
+      rows.push(['Melt Ramp Rate (measured)', `${formatNumber(this.results.ramp.rate * 60, 3)} °C/min`]);
+    }
+    if (this.results.zoneSpread) {
+      rows.push(['Block Zone Spread (max)', `${formatNumber(this.results.zoneSpread.max, 2)} °C`]);
+    }
+    return rows;
+  }
+}
@@ -11,11 +11,14 @@ export function showToast(title, message, type = 'info') {
   toast.innerHTML = `
     <div class="toast-icon">${icon}</div>
     <div class="toast-content">
-      <div class="toast-title">${title}</div>
-      <div class="toast-message">${message}</div>
+      <div class="toast-title"></div>
+      <div class="toast-message"></div>
     </div>
     <button class="toast-close">✕</button>
   `;
+  // Messages quote file names, column headers and sample names: set as text, never parsed as HTML
+  toast.querySelector('.toast-title').textContent = title;
+  toast.querySelector('.toast-message').textContent = message;
   
   container.appendChild(toast);
   
@@ -45,6 +48,17 @@ export function showLoading(show = true, message = 'Processing data...') {
   }
 }
 
+// Progress bar for work that runs in the background (the page stays usable): fraction 0-1, or null to hide
+export function showProgress(fraction, message = '') {
+  const container = document.getElementById('analysisProgress');
+  if (!container) return;
+
+  container.classList.toggle('hidden', fraction === null);
+  if (fraction === null) return;
+  container.querySelector('progress').value = fraction;
+  container.querySelector('.progress-text').textContent = message;
+}
+
 // Statistical Functions
 export function mean(arr) {
   return arr.reduce((sum, val) => sum + val, 0) / arr.length;
@@ -56,6 +70,28 @@ export function stdDev(arr) {
   return Math.sqrt(mean(squareDiffs));
 }
 
+export function median(arr) {
+  const sorted = arr.slice().sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// Least-squares straight line through (x, y)
+export function linearFit(xValues, yValues) {
+  const xMean = mean(xValues);
+  const yMean = mean(yValues);
+  let num = 0;
+  let den = 0;
+  
+  for (let i = 0; i < xValues.length; i++) {
+    num += (xValues[i] - xMean) * (yValues[i] - yMean);
+    den += Math.pow(xValues[i] - xMean, 2);
+  }
+  
+  const slope = den === 0 ? 0 : num / den;
+  return { slope, intercept: yMean - slope * xMean };
+}
+
 // Moving Average (for smoothing)
 export function movingAverage(arr, windowSize) {
   const result = [];
@@ -97,6 +133,148 @@ export function calculateDerivative(xValues, yValues) {
   return derivative;
 }
 
+// Savitzky-Golay filter: a polynomial of the given order fitted (least squares) to the windowSize points
+// around each point, evaluated there; derivativeOrder 1 gives dy/dx directly from the fit. Near the ends
+// the window is moved inward rather than shrunk. windowSize is rounded up to an odd number above order.
+export function savitzkyGolay(xValues, yValues, windowSize, order, derivativeOrder = 0) {
+  const n = xValues.length;
+  let size = Math.max(windowSize, order + 1);
+  if (size % 2 === 0) size++;
+  size = Math.min(size, n);
+  if (size <= order) return derivativeOrder === 0 ? yValues.slice() : calculateDerivative(xValues, yValues);
+
+  const half = Math.floor(size / 2);
+  const result = [];
+  for (let i = 0; i < n; i++) {
+    const start = Math.min(Math.max(0, i - half), n - size);
+    const x = [];
+    const y = [];
+    for (let j = start; j < start + size; j++) {
+      x.push(xValues[j] - xValues[i]);
+      y.push(yValues[j]);
+    }
+    // Coefficients of (x - x_i): c0 is the smoothed value, c1 the slope at x_i
+    const coefficients = polynomialFit(x, y, order);
+    result.push(derivativeOrder === 0 ? coefficients[0] : coefficients[1]);
+  }
+  return result;
+}
+
+// Cubic smoothing spline (Reinsch): minimizes the squared residuals plus λ times the integrated squared
+// second derivative, with λ = bandwidth⁴ / mean spacing so bandwidth (in x units) sets the smoothing scale.
+// Returns { values, derivative } at the x values.
+export function smoothingSpline(xValues, yValues, bandwidth) {
+  const n = xValues.length;
+  if (n < 4) return { values: yValues.slice(), derivative: calculateDerivative(xValues, yValues) };
+
+  const h = [];
+  for (let i = 0; i < n - 1; i++) h.push(xValues[i + 1] - xValues[i]);
+  const lambda = Math.pow(bandwidth, 4) / ((xValues[n - 1] - xValues[0]) / (n - 1));
+
+  // Second differences Q (columns [a, b, c] on rows k..k+2) and tridiagonal R, for the interior knots
+  const m = n - 2;
+  const q = [];
+  for (let k = 0; k < m; k++) q.push([1 / h[k], -1 / h[k] - 1 / h[k + 1], 1 / h[k + 1]]);
+
+  // Pentadiagonal system (R + λ QᵀQ) γ = Qᵀy, stored as band[row][column - row + 2]
+  const band = [];
+  const rhs = [];
+  for (let k = 0; k < m; k++) {
+    const row = new Array(5).fill(0);
+    row[2] = (h[k] + h[k + 1]) / 3 + lambda * (q[k][0] * q[k][0] + q[k][1] * q[k][1] + q[k][2] * q[k][2]);
+    if (k + 1 < m) row[3] = h[k + 1] / 6 + lambda * (q[k][1] * q[k + 1][0] + q[k][2] * q[k + 1][1]);
+    if (k + 2 < m) row[4] = lambda * q[k][2] * q[k + 2][0];
+    if (k > 0) row[1] = band[k - 1][3];
+    if (k > 1) row[0] = band[k - 2][4];
+    band.push(row);
+    rhs.push(q[k][0] * yValues[k] + q[k][1] * yValues[k + 1] + q[k][2] * yValues[k + 2]);
+  }
+
+  // Banded elimination (the system is symmetric positive definite, no pivoting needed)
+  for (let col = 0; col < m; col++) {
+    for (let r = col + 1; r <= Math.min(col + 2, m - 1); r++) {
+      const factor = band[r][col - r + 2] / band[col][2];
+      for (let c = col; c <= Math.min(col + 2, m - 1); c++) band[r][c - r + 2] -= factor * band[col][c - col + 2];
+      rhs[r] -= factor * rhs[col];
+    }
+  }
+  const gamma = new Array(n).fill(0);
+  for (let k = m - 1; k >= 0; k--) {
+    let sum = rhs[k];
+    if (k + 1 < m) sum -= band[k][3] * gamma[k + 2];
+    if (k + 2 < m) sum -= band[k][4] * gamma[k + 3];
+    gamma[k + 1] = sum / band[k][2];
+  }
+
+  // Fitted values g = y - λQγ, then the spline's slope at each knot
+  const values = yValues.slice();
+  for (let k = 0; k < m; k++) {
+    q[k].forEach((coefficient, j) => { values[k + j] -= lambda * coefficient * gamma[k + 1]; });
+  }
+  const derivative = values.map((value, i) => {
+    if (i === n - 1) return (value - values[i - 1]) / h[i - 1] + h[i - 1] * (gamma[i - 1] + 2 * gamma[i]) / 6;
+    return (values[i + 1] - value) / h[i] - h[i] * (2 * gamma[i] + gamma[i + 1]) / 6;
+  });
+  return { values, derivative };
+}
+
+// Sort (x, y) pairs by x, drop non-finite pairs and average duplicate x readings
+export function toSortedSeries(xValues, yValues) {
+  const pairs = [];
+  for (let i = 0; i < Math.min(xValues.length, yValues.length); i++) {
+    if (Number.isFinite(xValues[i]) && Number.isFinite(yValues[i])) {
+      pairs.push([xValues[i], yValues[i]]);
+    }
+  }
+  pairs.sort((a, b) => a[0] - b[0]);
+  
+  const x = [];
+  const y = [];
+  let count = 0;
+  pairs.forEach(([px, py]) => {
+    if (x.length > 0 && px === x[x.length - 1]) {
+      count++;
+      y[y.length - 1] += (py - y[y.length - 1]) / count;
+    } else {
+      x.push(px);
+      y.push(py);
+      count = 1;
+    }
+  });
+  
+  return { x, y };
+}
+
+// Evenly spaced grid from start to end (inclusive where it lands on a step)
+export function buildGrid(start, end, step) {
+  const count = Math.floor((end - start) / step + 1e-9) + 1;
+  return Array.from({ length: count }, (_, i) => Math.round((start + i * step) * 1e6) / 1e6);
+}
+
+// Linear interpolation of a sorted series onto new x values (null outside the series range)
+export function interpolateLinear(xValues, yValues, grid) {
+  const result = [];
+  let j = 0;
+  
+  for (const gx of grid) {
+    if (gx < xValues[0] || gx > xValues[xValues.length - 1]) {
+      result.push(null);
+      continue;
+    }
+    while (j < xValues.length - 2 && xValues[j + 1] < gx) j++;
+    
+    const x0 = xValues[j];
+    const x1 = xValues[j + 1];
+    if (x1 === undefined || x1 === x0) {
+      result.push(yValues[j]);
+    } else {
+      result.push(yValues[j] + (yValues[j + 1] - yValues[j]) * (gx - x0) / (x1 - x0));
+    }
+  }
+  
+  return result;
+}
+
 // Normalize array to 0-1 range
 export function normalizeArray(arr, preStart, preEnd, postStart, postEnd) {
   // Calculate pre-melt and post-melt average values
@@ -112,17 +290,173 @@ export function normalizeArray(arr, preStart, preEnd, postStart, postEnd) {
   });
 }
 
-// Auto-detect pre and post melt regions
+// Linear-baseline normalization: lines fitted to the pre- and post-melt regions give the fraction
+// still double-stranded at each temperature, (F - L_post) / (L_pre - L_post). The lines are extrapolated
+// over the whole temperature axis; where they converge beyond the regions their gap is kept at its
+// narrowest within the span from the pre-melt start to the post-melt end, so values cannot blow up there.
+// Null when the two lines meet within that span.
+export function normalizeLinearBaseline(temperatures, arr, preStart, preEnd, postStart, postEnd) {
+  const pre = linearFit(temperatures.slice(preStart, preEnd), arr.slice(preStart, preEnd));
+  const post = linearFit(temperatures.slice(postStart, postEnd), arr.slice(postStart, postEnd));
+
+  const gap = t => (pre.slope - post.slope) * t + pre.intercept - post.intercept;
+  const spanGaps = temperatures.slice(preStart, postEnd).map(gap);
+  if (spanGaps.some(value => !(value > 0)) && spanGaps.some(value => !(value < 0))) return null;
+  const sign = Math.sign(spanGaps[0]);
+  const narrowest = Math.min(...spanGaps.map(value => sign * value));
+
+  return {
+    normalized: arr.map((val, i) => {
+      const t = temperatures[i];
+      return (val - (post.slope * t + post.intercept)) / (sign * Math.max(sign * gap(t), narrowest));
+    }),
+    parameters: {
+      preSlope: pre.slope,
+      preIntercept: pre.intercept,
+      postSlope: post.slope,
+      postIntercept: post.intercept
+    }
+  };
+}
+
+// Exponential background removal (Palais & Wittwer, 2009): the dye's background decays as C·e^(a(T - T_L)),
+// with a and C from the curve's slopes at the pre- and post-melt region centres T_L and T_R.
+// The remainder is scaled between its region averages; the background is held at its edge values
+// outside the span of the regions. Null when the slopes do not fit a decay.
+export function normalizeExponentialBackground(temperatures, arr, preStart, preEnd, postStart, postEnd) {
+  const preTemps = temperatures.slice(preStart, preEnd);
+  const postTemps = temperatures.slice(postStart, postEnd);
+  const leftSlope = linearFit(preTemps, arr.slice(preStart, preEnd)).slope;
+  const rightSlope = linearFit(postTemps, arr.slice(postStart, postEnd)).slope;
+  const left = mean(preTemps);
+  const right = mean(postTemps);
+
+  const exponent = Math.log(rightSlope / leftSlope) / (right - left);
+  if (!(exponent < 0) || !isFinite(exponent)) return null;
+
+  const amplitude = leftSlope / exponent;
+  const span = spanClamp(temperatures, preStart, postEnd);
+  const signal = arr.map((val, i) => val - amplitude * Math.exp(exponent * (span(temperatures[i]) - left)));
+
+  return {
+    normalized: normalizeArray(signal, preStart, preEnd, postStart, postEnd),
+    parameters: { exponent, amplitude, referenceTemperature: left }
+  };
+}
+
+// Temperature where a normalized curve last falls through a threshold, linearly interpolated;
+// only crossings between from and to (°C, null = open) count. Null when there is none.
+export function findThresholdCrossing(temperatures, values, threshold, from = null, to = null) {
+  for (let i = values.length - 1; i > 0; i--) {
+    const t0 = temperatures[i - 1];
+    const t1 = temperatures[i];
+    if ((to !== null && t0 > to) || (from !== null && t1 < from)) continue;
+    if (values[i - 1] >= threshold && values[i] < threshold) {
+      const t = t0 + (t1 - t0) * (values[i - 1] - threshold) / (values[i - 1] - values[i]);
+      if ((from === null || t >= from) && (to === null || t <= to)) return t;
+    }
+  }
+  return null;
+}
+
+// A curve moved along the temperature axis by shift °C and read back on the same temperatures;
+// the end values are held where the shifted curve no longer covers the axis
+export function shiftCurve(temperatures, values, shift) {
+  const first = temperatures[0] + shift;
+  const last = temperatures[temperatures.length - 1] + shift;
+  const shifted = interpolateLinear(temperatures.map(t => t + shift), values, temperatures);
+  return shifted.map((value, i) => {
+    if (value !== null) return value;
+    return temperatures[i] < first ? values[0] : values[values.length - 1];
+  });
+}
+
+// Clamps temperatures to the span from the pre-melt start to the post-melt end
+function spanClamp(temperatures, preStart, postEnd) {
+  const low = temperatures[preStart];
+  const high = temperatures[postEnd - 1];
+  return t => Math.min(Math.max(t, low), high);
+}
+
+// Plateau criteria relative to the melt transition: the slope stays below half of the peak -dF/dT
+// (a steady background decline is allowed), the curvature below 10% of its maximum
+const PLATEAU_SLOPE_FRACTION = 0.5;
+const PLATEAU_CURVATURE_FRACTION = 0.1;
+// A further -dF/dT peak rising at least this fraction of the steepest above its surroundings (prominence)
+// is another melt domain: the plateaus lie outside all of them, not in the trough between two
+const MELT_DOMAIN_FRACTION = 0.25;
+
+// Pre- and post-melt plateaus of a melt curve: the flat stretches below the lowest and above the highest
+// melt domain (the steepest fall, and any other significant one), found from the smoothed derivative and curvature. Each region is the part of its plateau
+// nearest the transition (at most 10% of the points, one smoothing window away from the transition).
+// A side without a plateau of at least 3% of the points, or a curve without a clear transition,
+// falls back to a fixed 10% window and is flagged (prePlateau / postPlateau false).
 export function detectMeltRegions(temperatures, fluorescence) {
-  // Pre-melt: first 10% of data
-  const preEnd = Math.floor(temperatures.length * 0.1);
-  const preStart = 0;
-  
-  // Post-melt: last 10% of data
-  const postStart = Math.floor(temperatures.length * 0.9);
-  const postEnd = temperatures.length;
-  
-  return { preStart, preEnd, postStart, postEnd };
+  const n = temperatures.length;
+  const fixed = {
+    preStart: 0,
+    preEnd: Math.max(1, Math.floor(n * 0.1)),
+    postStart: Math.min(n - 1, Math.floor(n * 0.9)),
+    postEnd: n
+  };
+  if (!fluorescence || n < 10) {
+    return { ...fixed, prePlateau: false, postPlateau: false };
+  }
+
+  const window = Math.max(3, Math.round(n / 50));
+  const slope = movingAverage(calculateDerivative(temperatures, movingAverage(fluorescence, window)), window).map(d => -d);
+  const curvature = movingAverage(calculateDerivative(temperatures, slope), window);
+
+  let peak = 0;
+  slope.forEach((value, i) => {
+    if (value > slope[peak]) peak = i;
+  });
+
+  // No transition standing out from the background (e.g. NTC wells)
+  if (!(slope[peak] > 3 * median(slope.map(Math.abs)))) {
+    return { ...fixed, prePlateau: false, postPlateau: false };
+  }
+
+  const slopeLimit = PLATEAU_SLOPE_FRACTION * slope[peak];
+  const curvatureLimit = PLATEAU_CURVATURE_FRACTION * Math.max(...curvature.map(Math.abs));
+  const isFlat = i => Math.abs(slope[i]) <= slopeLimit && Math.abs(curvature[i]) <= curvatureLimit;
+  const minPoints = Math.max(3, Math.round(n * 0.03));
+  const maxPoints = Math.max(minPoints, Math.floor(n * 0.1));
+
+  // Outermost melt domains; peaks within a smoothing window of either end are edge effects
+  const domains = findPeaks(temperatures, slope, MELT_DOMAIN_FRACTION, MELT_DOMAIN_FRACTION)
+    .map(domain => domain.index)
+    .filter(index => index >= window && index < n - window);
+  const first = Math.min(peak, ...domains);
+  const last = Math.max(peak, ...domains);
+
+  // Pre-melt: walk left from the lowest transition to the first flat point, then across the plateau
+  let i = first - 1;
+  while (i >= 0 && !isFlat(i)) i--;
+  const plateauEnd = i + 1;
+  while (i >= 0 && isFlat(i)) i--;
+  const preEnd = Math.max(i + 1, plateauEnd - window);
+  const preStart = Math.max(i + 1, preEnd - maxPoints);
+
+  // Post-melt: the same to the right of the highest transition
+  let j = last + 1;
+  while (j < n && !isFlat(j)) j++;
+  const plateauStart = j;
+  while (j < n && isFlat(j)) j++;
+  const postStart = Math.min(j, plateauStart + window);
+  const postEnd = Math.min(j, postStart + maxPoints);
+
+  const prePlateau = preEnd - preStart >= minPoints;
+  const postPlateau = postEnd - postStart >= minPoints;
+
+  return {
+    preStart: prePlateau ? preStart : fixed.preStart,
+    preEnd: prePlateau ? preEnd : fixed.preEnd,
+    postStart: postPlateau ? postStart : fixed.postStart,
+    postEnd: postPlateau ? postEnd : fixed.postEnd,
+    prePlateau,
+    postPlateau
+  };
 }
 
 // Find melting temperature (Tm) from derivative plot
@@ -141,6 +475,215 @@ export function findTm(temperatures, derivative) {
   return temperatures[maxDerivIdx];
 }
 
+// Sub-step Tm from a parabola fitted (least squares) to the top of a -dF/dT peak: the points around
+// index down to 80% of its height, at least two on each side. With gaussian the parabola is fitted to
+// ln(-dF/dT), i.e. a Gaussian peak. Returns { tm, rSquared }, or null when the fit has no maximum
+// inside the points used.
+export function fitPeakTm(temperatures, derivative, index, gaussian = false) {
+  const height = derivative[index];
+  if (!(height > 0)) return null;
+
+  let start = index;
+  let end = index;
+  while (start > 0 && (index - start < 2 || derivative[start - 1] >= 0.8 * height)) start--;
+  while (end < derivative.length - 1 && (end - index < 2 || derivative[end + 1] >= 0.8 * height)) end++;
+  if (index - start < 2 || end - index < 2) return null;
+
+  const x = [];
+  const y = [];
+  for (let i = start; i <= end; i++) {
+    if (gaussian && !(derivative[i] > 0)) return null;
+    x.push(temperatures[i] - temperatures[index]);
+    y.push(gaussian ? Math.log(derivative[i]) : derivative[i]);
+  }
+
+  const [c, b, a] = polynomialFit(x, y, 2);
+  if (!(a < 0)) return null;
+  const vertex = -b / (2 * a);
+  if (vertex < x[0] || vertex > x[x.length - 1]) return null;
+
+  const model = xi => (gaussian ? Math.exp(a * xi * xi + b * xi + c) : a * xi * xi + b * xi + c);
+  const observed = x.map((_, i) => derivative[start + i]);
+  return { tm: temperatures[index] + vertex, rSquared: rSquared(observed, x.map(model)) };
+}
+
+// Tm from a logistic fitted to the normalized melt curve, F = base + amplitude / (1 + e^((T - Tm) / scale)),
+// over tm0 ± halfWidth °C (Levenberg-Marquardt). Returns { tm, rSquared }, or null when the fit fails
+// or leaves the window.
+export function fitLogisticTm(temperatures, normalized, tm0, halfWidth) {
+  const x = [];
+  const y = [];
+  temperatures.forEach((t, i) => {
+    if (Math.abs(t - tm0) <= halfWidth) {
+      x.push(t);
+      y.push(normalized[i]);
+    }
+  });
+  if (x.length < 6) return null;
+
+  const evaluate = ([base, amplitude, tm, scale]) => x.map(t => base + amplitude / (1 + Math.exp((t - tm) / scale)));
+  const sse = params => evaluate(params).reduce((sum, value, i) => sum + Math.pow(y[i] - value, 2), 0);
+
+  let params = [Math.min(...y), Math.max(...y) - Math.min(...y), tm0, halfWidth / 4];
+  let error = sse(params);
+  let lambda = 1e-3;
+
+  for (let iteration = 0; iteration < 100; iteration++) {
+    const [, amplitude, tm, scale] = params;
+    // Jacobian rows: d/d(base, amplitude, tm, scale)
+    const jacobian = x.map(t => {
+      const e = Math.exp((t - tm) / scale);
+      const logistic = 1 / (1 + e);
+      const slope = amplitude * e / ((1 + e) * (1 + e) * scale);
+      return [1, logistic, slope, slope * (t - tm) / scale];
+    });
+    const residuals = evaluate(params).map((value, i) => y[i] - value);
+
+    const normal = [0, 1, 2, 3].map(r => [0, 1, 2, 3].map(c => jacobian.reduce((sum, row) => sum + row[r] * row[c], 0)));
+    const gradient = [0, 1, 2, 3].map(r => jacobian.reduce((sum, row, i) => sum + row[r] * residuals[i], 0));
+    normal.forEach((row, r) => { row[r] *= 1 + lambda; });
+
+    const step = solveLinearSystem(normal, gradient);
+    if (!step) return null;
+    const candidate = params.map((p, i) => p + step[i]);
+    const candidateError = candidate[3] > 0 ? sse(candidate) : Infinity;
+
+    if (candidateError < error) {
+      const converged = error - candidateError < 1e-12 * Math.max(1, error);
+      params = candidate;
+      error = candidateError;
+      lambda /= 10;
+      if (converged) break;
+    } else {
+      lambda *= 10;
+      if (lambda > 1e10) break;
+    }
+  }
+
+  const [, amplitude, tm] = params;
+  if (!(amplitude > 0) || !isFinite(tm) || tm < x[0] || tm > x[x.length - 1]) return null;
+  return { tm, rSquared: rSquared(y, evaluate(params)) };
+}
+
+// Least-squares polynomial coefficients [c0, c1, ..., c_degree]
+function polynomialFit(x, y, degree) {
+  const size = degree + 1;
+  const normal = Array.from({ length: size }, (_, r) =>
+    Array.from({ length: size }, (_, c) => x.reduce((sum, xi) => sum + Math.pow(xi, r + c), 0))
+  );
+  const rhs = Array.from({ length: size }, (_, r) => x.reduce((sum, xi, i) => sum + Math.pow(xi, r) * y[i], 0));
+  return solveLinearSystem(normal, rhs) || new Array(size).fill(0);
+}
+
+// Gaussian elimination with partial pivoting; null for a singular system
+function solveLinearSystem(matrix, rhs) {
+  const n = rhs.length;
+  const a = matrix.map((row, i) => [...row, rhs[i]]);
+
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let r = col + 1; r < n; r++) {
+      if (Math.abs(a[r][col]) > Math.abs(a[pivot][col])) pivot = r;
+    }
+    if (Math.abs(a[pivot][col]) < 1e-15) return null;
+    [a[col], a[pivot]] = [a[pivot], a[col]];
+
+    for (let r = col + 1; r < n; r++) {
+      const factor = a[r][col] / a[col][col];
+      for (let c = col; c <= n; c++) a[r][c] -= factor * a[col][c];
+    }
+  }
+
+  const solution = new Array(n).fill(0);
+  for (let r = n - 1; r >= 0; r--) {
+    let sum = a[r][n];
+    for (let c = r + 1; c < n; c++) sum -= a[r][c] * solution[c];
+    solution[r] = sum / a[r][r];
+  }
+  return solution;
+}
+
+function rSquared(observed, predicted) {
+  const average = mean(observed);
+  const total = observed.reduce((sum, value) => sum + Math.pow(value - average, 2), 0);
+  const residual = observed.reduce((sum, value, i) => sum + Math.pow(value - predicted[i], 2), 0);
+  return total > 0 ? 1 - residual / total : 1;
+}
+
+// Peaks of a -dF/dT curve, tallest first: [{ index, tm, height, prominence, fwhm, area }].
+// minHeight and minProminence are fractions of the tallest peak's height. Prominence is the height above
+// the higher of the lowest points between the peak and the nearest taller point on each side; the width
+// is taken at half the prominence and the area is integrated between those lowest points.
+// window is the smoothing window in points: maxima within half of it of either end (where the window runs
+// off the data) are skipped, and a peak narrower than the window inside a taller peak's half-prominence
+// span is ripple the smoothing let through, merged into that peak. Only maxima between from and to
+// (°C, null = open) count.
+export function findPeaks(temperatures, derivative, minHeight = 0.5, minProminence = 0.1, window = 1, from = null, to = null) {
+  const n = derivative.length;
+  const edge = Math.floor(window / 2);
+  const candidates = [];
+  for (let i = 0; i < n; i++) {
+    // Local maximum; a flat top counts once, at its first point
+    let j = i;
+    while (j < n - 1 && derivative[j + 1] === derivative[i]) j++;
+    const risesBefore = i === 0 || derivative[i - 1] < derivative[i];
+    const fallsAfter = j === n - 1 || derivative[j + 1] < derivative[i];
+    const inside = i >= edge && i < n - edge &&
+      (from === null || temperatures[i] >= from) && (to === null || temperatures[i] <= to);
+    if (risesBefore && fallsAfter && derivative[i] > 0 && (i > 0 || j < n - 1) && inside) candidates.push(i);
+    i = j;
+  }
+  if (candidates.length === 0) return [];
+
+  const tallest = Math.max(...candidates.map(i => derivative[i]));
+  const windowWidth = window * (temperatures[n - 1] - temperatures[0]) / (n - 1);
+
+  return candidates
+    .map(i => {
+      const height = derivative[i];
+      const base = step => {
+        let lowest = i;
+        for (let k = i + step; k >= 0 && k < n && derivative[k] <= height; k += step) {
+          if (derivative[k] < derivative[lowest]) lowest = k;
+        }
+        return lowest;
+      };
+      const left = base(-1);
+      const right = base(1);
+      const prominence = height - Math.max(derivative[left], derivative[right]);
+
+      // Interpolated crossings of the half-prominence level on each side
+      const level = height - prominence / 2;
+      const crossing = (start, end, step) => {
+        for (let k = start; k !== end; k += step) {
+          if (derivative[k + step] <= level) {
+            const t0 = temperatures[k];
+            const t1 = temperatures[k + step];
+            return t0 + (t1 - t0) * (derivative[k] - level) / (derivative[k] - derivative[k + step]);
+          }
+        }
+        return temperatures[end];
+      };
+      const span = [crossing(i, left, -1), crossing(i, right, 1)];
+      const fwhm = span[1] - span[0];
+
+      let area = 0;
+      for (let k = left; k < right; k++) {
+        area += (derivative[k] + derivative[k + 1]) / 2 * (temperatures[k + 1] - temperatures[k]);
+      }
+
+      return { index: i, tm: temperatures[i], height, prominence, fwhm, area, span };
+    })
+    .sort((a, b) => b.height - a.height)
+    .reduce((kept, peak) => {
+      const ripple = peak.fwhm < windowWidth &&
+        kept.some(taller => peak.tm >= taller.span[0] && peak.tm <= taller.span[1]);
+      return ripple ? kept : [...kept, peak];
+    }, [])
+    .filter(peak => peak.height >= minHeight * tallest && peak.prominence >= minProminence * tallest)
+    .map(({ span, ...peak }) => peak);
+}
+
 // Generate color palette (colorblind-friendly)
 export function generateColors(count) {
   const baseColors = [
@@ -162,6 +705,83 @@ export function generateColors(count) {
   return colors;
 }
 
+// Convert a zero-based well index to a plate position (0 -> A1, 12 -> B1 on a 96-well plate)
+export function wellIndexToId(index, columns = 12) {
+  const row = Math.floor(index / columns);
+  const col = (index % columns) + 1;
+  return `${String.fromCharCode(65 + row)}${col}`;
+}
+
+// Parse a plate position ("A1", "A01", "p24") into row/column, or null
+export function parseWellId(id) {
+  const match = /^([A-P])0*(\d{1,2})$/i.exec(String(id).trim());
+  if (!match) return null;
+  return { row: match[1].toUpperCase().charCodeAt(0) - 65, column: parseInt(match[2]) - 1 };
+}
+
+// Plate columns for a given well count (96 -> 12, 384 -> 24)
+export function plateColumnsForWellCount(wellCount) {
+  return wellCount > 96 ? 24 : 12;
+}
+
+// Readings of one sample column with its temperature column, skipping incomplete rows
+export function columnSeries(data, tempHeader, valueHeader) {
+  const temperatures = [];
+  const values = [];
+  data.forEach(row => {
+    const t = parseFloat(row[tempHeader]);
+    const v = parseFloat(row[valueHeader]);
+    if (!isNaN(t) && !isNaN(v)) {
+      temperatures.push(t);
+      values.push(v);
+    }
+  });
+  return { temperatures, values };
+}
+
+// Paired "Temperature (name)" / name columns for samples that each carry their own temperatures
+export function buildPairedColumns(samples) {
+  const headers = [];
+  const sampleTemperatureHeaders = {};
+  samples.forEach(({ name }) => {
+    headers.push(`Temperature (${name})`, name);
+    sampleTemperatureHeaders[name] = `Temperature (${name})`;
+  });
+
+  // Row i holds the i-th reading of every sample
+  const pointCount = Math.max(...samples.map(s => Math.min(s.temperatures.length, s.values.length)));
+  const data = [];
+  for (let i = 0; i < pointCount; i++) {
+    const row = {};
+    samples.forEach(s => {
+      row[sampleTemperatureHeaders[s.name]] = s.temperatures[i] !== undefined ? s.temperatures[i] : null;
+      row[s.name] = s.values[i] !== undefined ? s.values[i] : null;
+    });
+    data.push(row);
+  }
+
+  return { headers, tempHeader: headers[0], sampleTemperatureHeaders, data };
+}
+
+// JSZip from the global scope, loading lib/jszip.min.js on first use
+let jsZipPromise = null;
+export function loadJSZip() {
+  if (window.JSZip) return Promise.resolve(window.JSZip);
+  if (!jsZipPromise) {
+    jsZipPromise = new Promise((resolve, reject) => {
+      const script = document.createElement('script');
+      script.src = 'lib/jszip.min.js';
+      script.onload = () => resolve(window.JSZip);
+      script.onerror = () => {
+        jsZipPromise = null;
+        reject(new Error('Failed to load JSZip'));
+      };
+      document.head.appendChild(script);
+    });
+  }
+  return jsZipPromise;
+}
+
 // Format number with fixed decimals
 export function formatNumber(num, decimals = 2) {
   return Number(num).toFixed(decimals);
@@ -229,24 +849,6 @@ export function getFileExtension(filename) {
   return filename.slice((filename.lastIndexOf('.') - 1 >>> 0) + 2).toLowerCase();
 }
 
-// Validate CSV structure
-export function validateCSVData(data) {
-  if (!data || data.length === 0) {
-    return { valid: false, error: 'No data found in file' };
-  }
-  
-  if (!data[0] || Object.keys(data[0]).length < 2) {
-    return { valid: false, error: 'File must have at least 2 columns (Temperature + 1 sample)' };
-  }
-  
-  const headers = Object.keys(data[0]);
-  const tempHeader = headers[0];
-  
-  // Check if first column contains numeric temperature values
-  const firstTemp = parseFloat(data[0][tempHeader]);
-  if (isNaN(firstTemp)) {
-    return { valid: false, error: 'First column must contain temperature values' };
-  }
-  
-  return { valid: true, headers, tempHeader };
-}
+// Column headers naming a temperature ("Temp", "Temperature (°C)", a bare "T"), but not "Template"
+// or "T1": numbered T columns are as likely to be tube/sample names
+export const TEMPERATURE_HEADER_PATTERN = /(^|[^a-z])temp(erature)?([^a-z]|$)|°[cf]|^t$/i;
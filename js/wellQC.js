@@ -0,0 +1,157 @@
+// Well QC Module
+// Flags wells whose melt data should not be trusted: low or absent signal, saturation, a curve that is
+// not a single sigmoidal melt, a noisy derivative, low-temperature primer-dimer peaks and NTCs with product
+import { mean, median, formatNumber, calculateDerivative, savitzkyGolay, findPeaks, fitLogisticTm } from './utils.js';
+
+export const QC_STATUS = { pass: 'Pass', warn: 'Warn', fail: 'Fail' };
+
+export class WellQC {
+  constructor() {
+    this.settings = {
+      smoothingSpan: 2, // °C spanned by the Savitzky-Golay window for the raw -dF/dT
+      lowSignal: 0.3, // melt signal (raw -dF/dT peak prominence) as a fraction of the plate median: warn below
+      absentSignal: 0.1, // fail below
+      saturationRun: 3, // consecutive readings flat at the well's maximum
+      shapeWarn: 0.98, // R² of a logistic fit to the melt transition: warn below
+      shapeFail: 0.9, // fail below
+      noiseWarn: 0.1, // derivative noise (RMS) as a fraction of the melt peak: warn above
+      noiseFail: 0.25, // fail above
+      primerDimerGap: 5, // °C below the main peak for a peak to count as primer-dimer
+      primerDimerProminence: 0.15, // minimum primer-dimer peak prominence as a fraction of the main peak
+      ntcSignal: 0.1 // NTC melt signal as a fraction of the plate median: fail above
+    };
+  }
+
+  // Sets qc: { status, flags: [{ severity, message }] } on each sample (status 'pass', 'warn' or 'fail');
+  // returns { pass, warn, fail } counts for the log
+  check(temperatures, samples) {
+    const peaks = samples.map(sample => rawMeltPeaks(temperatures, sample.fluorescence, this.settings.smoothingSpan));
+    const signals = peaks.map(list => (list.length > 0 ? list[0].prominence : null));
+    // Plate reference: the wells expected to melt
+    const expected = signals.filter((signal, idx) => signal !== null && !isNTC(samples[idx]));
+    const plateSignal = expected.length > 0 ? median(expected) : null;
+
+    samples.forEach((sample, idx) => {
+      const flags = [];
+      const flag = (severity, message) => flags.push({ severity, message });
+      const relative = plateSignal > 0 && signals[idx] !== null ? signals[idx] / plateSignal : null;
+
+      const saturated = flatMaximum(sample.fluorescence);
+      if (saturated >= this.settings.saturationRun) {
+        flag('fail', `Saturated signal (flat at its maximum for ${saturated} readings)`);
+      }
+
+      // NTCs should stay flat: any melt signal there is product (contamination or primer-dimer)
+      if (isNTC(sample)) {
+        if (relative !== null && relative > this.settings.ntcSignal) {
+          flag('fail', `NTC shows a product (melt signal ${formatNumber(relative * 100, 0)}% of the plate median)`);
+        }
+        sample.qc = summarize(flags);
+        return;
+      }
+
+      if (relative === null || relative < this.settings.absentSignal) {
+        flag('fail', relative === null ? 'No melt signal' : `Absent fluorescence (melt signal ${formatNumber(relative * 100, 0)}% of the plate median)`);
+        sample.qc = summarize(flags);
+        return;
+      }
+      if (relative < this.settings.lowSignal) {
+        flag('warn', `Low fluorescence (melt signal ${formatNumber(relative * 100, 0)}% of the plate median)`);
+      }
+
+      const shape = this.meltShape(temperatures, sample, peaks[idx][0].tm);
+      if (shape === null || shape < this.settings.shapeFail) {
+        flag('fail', `Non-sigmoidal melt curve${shape !== null ? ` (logistic fit R² ${formatNumber(shape, 3)})` : ''}`);
+      } else if (shape < this.settings.shapeWarn) {
+        flag('warn', `Irregular melt curve (logistic fit R² ${formatNumber(shape, 3)})`);
+      }
+      if (sample.plateauWarning) flag('warn', sample.plateauWarning);
+
+      const noise = derivativeNoise(temperatures, sample.normalized);
+      if (noise > this.settings.noiseFail) {
+        flag('fail', `Noisy derivative (noise ${formatNumber(noise * 100, 0)}% of the melt peak)`);
+      } else if (noise > this.settings.noiseWarn) {
+        flag('warn', `Noisy derivative (noise ${formatNumber(noise * 100, 0)}% of the melt peak)`);
+      }
+
+      const dimers = this.primerDimerPeaks(peaks[idx]);
+      if (dimers.length > 0) {
+        flag('warn', `Primer-dimer peak at ${dimers.map(peak => `${formatNumber(peak.tm, 1)} °C`).join(', ')}`);
+      }
+
+      sample.qc = summarize(flags);
+    });
+
+    const counts = { pass: 0, warn: 0, fail: 0 };
+    samples.forEach(sample => { counts[sample.qc.status]++; });
+    return counts;
+  }
+
+  describe({ pass, warn, fail }, samples) {
+    const failed = samples.filter(sample => sample.qc.status === 'fail');
+    return `${pass} pass, ${warn} warn, ${fail} fail` +
+      (failed.length > 0 ? `; failed: ${failed.map(sample => `${sample.name} (${sample.qc.flags.filter(f => f.severity === 'fail').map(f => f.message).join('; ')})`).join(', ')}` : '');
+  }
+
+  // R² of a logistic fitted across the melt transition, between the pre- and post-melt regions, started at
+  // tm of the main raw -dF/dT peak (the analysis Tm may sit on a noise spike QC is meant to catch)
+  meltShape(temperatures, sample, tm) {
+    if (!sample.meltRegions) return null;
+    const { pre, post } = sample.meltRegions;
+    const halfWidth = Math.max(tm - pre[1], post[0] - tm, 2);
+    const fit = fitLogisticTm(temperatures, sample.normalized, tm, halfWidth);
+    return fit ? fit.rSquared : null;
+  }
+
+  // Raw -dF/dT peaks well below the main melt peak and prominent enough not to be baseline ripple
+  primerDimerPeaks(peaks) {
+    if (peaks.length < 2) return [];
+    const minimum = peaks[0].prominence * this.settings.primerDimerProminence;
+    return peaks.slice(1).filter(peak => peak.tm < peaks[0].tm - this.settings.primerDimerGap && peak.prominence >= minimum);
+  }
+}
+
+export function isNTC(sample) {
+  return (sample.task || '').toUpperCase() === 'NTC';
+}
+
+// Peaks of the smoothed -dF/dT of the raw fluorescence, most prominent first. Prominence rather than the
+// pre/post drop measures the melt: the dye's background decline lowers empty wells too, without a peak.
+// Peaks within half a window of either end are edge artifacts of the fit and are left out.
+function rawMeltPeaks(temperatures, fluorescence, span) {
+  const step = (temperatures[temperatures.length - 1] - temperatures[0]) / (temperatures.length - 1);
+  const windowSize = Math.max(5, Math.round(span / step) | 1);
+  const half = (windowSize - 1) / 2;
+  const derivative = savitzkyGolay(temperatures, fluorescence, windowSize, 2, 1).map(d => -d);
+  return findPeaks(temperatures, derivative, 0, 0)
+    .filter(peak => peak.index >= half && peak.index < temperatures.length - half)
+    .sort((a, b) => b.prominence - a.prominence);
+}
+
+// Longest run of consecutive readings at the well's maximum (a clipped detector repeats it exactly)
+function flatMaximum(fluorescence) {
+  const max = Math.max(...fluorescence);
+  const tolerance = Math.abs(max) * 1e-6;
+  let longest = 0;
+  let run = 0;
+  fluorescence.forEach(value => {
+    run = max - value <= tolerance ? run + 1 : 0;
+    longest = Math.max(longest, run);
+  });
+  return longest;
+}
+
+// RMS of the unsmoothed -dF/dT around a Savitzky-Golay smoothed one, relative to the smoothed peak height
+function derivativeNoise(temperatures, normalized) {
+  const raw = calculateDerivative(temperatures, normalized);
+  const smooth = savitzkyGolay(temperatures, normalized, 11, 2, 1);
+  const peak = Math.max(...smooth.map(d => -d));
+  if (!(peak > 0)) return Infinity;
+  const rms = Math.sqrt(mean(raw.map((d, i) => Math.pow(d - smooth[i], 2))));
+  return rms / peak;
+}
+
+function summarize(flags) {
+  const status = flags.some(f => f.severity === 'fail') ? 'fail' : flags.some(f => f.severity === 'warn') ? 'warn' : 'pass';
+  return { status, flags };
+}
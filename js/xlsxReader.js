@@ -0,0 +1,134 @@
+// XLSX Reader Module
+// Worksheets of an Excel workbook (Office Open XML, a ZIP of XML parts) as rows of cell text
+import { loadJSZip } from './utils.js';
+
+export class XLSXReader {
+  // [{ name, rows: [[cell, ...], ...] }] in workbook order, empty sheets left out
+  async readWorkbook(file) {
+    try {
+      const JSZip = await loadJSZip();
+      const zip = await JSZip.loadAsync(file);
+
+      const workbook = await this.readXML(zip, 'xl/workbook.xml');
+      if (!workbook) {
+        throw new Error('No xl/workbook.xml in file');
+      }
+
+      const targets = await this.readRelationships(zip);
+      const sharedStrings = await this.readSharedStrings(zip);
+
+      const sheets = [];
+      for (const sheetEl of descendants(workbook, 'sheet')) {
+        const relId = sheetEl.getAttributeNS('http://schemas.openxmlformats.org/officeDocument/2006/relationships', 'id') ||
+          sheetEl.getAttribute('r:id');
+        const path = targets.get(relId);
+        const sheet = path ? await this.readXML(zip, path) : null;
+        if (!sheet) continue;
+
+        const rows = this.readRows(sheet, sharedStrings);
+        if (rows.length > 0) {
+          sheets.push({ name: sheetEl.getAttribute('name'), rows });
+        }
+      }
+
+      if (sheets.length === 0) {
+        throw new Error('Workbook contains no data');
+      }
+
+      console.log(`Read ${sheets.length} worksheet(s): ${sheets.map(s => s.name).join(', ')}`);
+      return sheets;
+    } catch (error) {
+      console.error('XLSX reading error:', error);
+      throw new Error(`Failed to read Excel workbook: ${error.message}`);
+    }
+  }
+
+  async readXML(zip, path) {
+    const entry = zip.file(path);
+    if (!entry) return null;
+    return new DOMParser().parseFromString(await entry.async('text'), 'application/xml').documentElement;
+  }
+
+  // Relationship id -> worksheet part path
+  async readRelationships(zip) {
+    const targets = new Map();
+    const rels = await this.readXML(zip, 'xl/_rels/workbook.xml.rels');
+    if (!rels) return targets;
+
+    descendants(rels, 'Relationship').forEach(rel => {
+      const target = rel.getAttribute('Target');
+      // Targets are relative to xl/, or absolute within the package
+      targets.set(rel.getAttribute('Id'), target.startsWith('/') ? target.slice(1) : `xl/${target}`);
+    });
+    return targets;
+  }
+
+  async readSharedStrings(zip) {
+    const table = await this.readXML(zip, 'xl/sharedStrings.xml');
+    if (!table) return [];
+
+    // Rich text splits a string into runs; phonetic hints (rPh) are not part of the value
+    return descendants(table, 'si').map(si =>
+      descendants(si, 't')
+        .filter(t => t.parentNode.localName !== 'rPh')
+        .map(t => t.textContent)
+        .join('')
+    );
+  }
+
+  // Dense rows of cell text; cells are placed by their A1 reference, gaps stay ''
+  readRows(sheet, sharedStrings) {
+    const rows = [];
+
+    descendants(sheet, 'row').forEach(rowEl => {
+      const rowNumber = parseInt(rowEl.getAttribute('r')) || rows.length + 1;
+      const row = [];
+
+      Array.from(rowEl.children).filter(el => el.localName === 'c').forEach(cell => {
+        const ref = /^([A-Z]+)/.exec(cell.getAttribute('r') || '');
+        const col = ref ? columnIndex(ref[1]) : row.length;
+        while (row.length < col) row.push('');
+        row[col] = cellText(cell, sharedStrings);
+      });
+
+      while (row.length > 0 && row[row.length - 1] === '') row.pop();
+      rows[rowNumber - 1] = row;
+    });
+
+    // Fill skipped row numbers and drop trailing blank rows
+    for (let i = 0; i < rows.length; i++) {
+      if (!rows[i]) rows[i] = [];
+    }
+    while (rows.length > 0 && rows[rows.length - 1].length === 0) rows.pop();
+    return rows;
+  }
+}
+
+function descendants(parent, localName) {
+  return Array.from(parent.getElementsByTagNameNS('*', localName));
+}
+
+// "A" -> 0, "Z" -> 25, "AA" -> 26
+function columnIndex(letters) {
+  return letters.split('').reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+}
+
+function cellText(cell, sharedStrings) {
+  const type = cell.getAttribute('t');
+  const valueEl = Array.from(cell.children).find(el => el.localName === 'v');
+  const value = valueEl ? valueEl.textContent : '';
+
+  switch (type) {
+    case 's':
+      return sharedStrings[parseInt(value)] || '';
+    case 'inlineStr':
+      return descendants(cell, 't').map(t => t.textContent).join('');
+    case 'b':
+      return value === '1' ? 'TRUE' : 'FALSE';
+    case 'e':
+      return '';
+    default:
+      // Numbers and cached formula results
+      return value;
+  }
+}
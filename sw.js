@@ -1,4 +1,4 @@
-const CACHE_NAME = "hrm-analyzer-v2";
+const CACHE_NAME = "hrm-analyzer-v15";
 const urlsToCache = [
   "./",
   "./index.html",
@@ -8,9 +8,23 @@ const urlsToCache = [
   "./js/app.js",
   "./js/fileHandler.js",
   "./js/dataProcessor.js",
+  "./js/analysisWorker.js",
   "./js/chartManager.js",
   "./js/exportManager.js",
   "./js/edsParser.js",
+  "./js/rdmlParser.js",
+  "./js/importerRegistry.js",
+  "./js/instrumentImporters.js",
+  "./js/importWizard.js",
+  "./js/xlsxReader.js",
+  "./js/amplificationProcessor.js",
+  "./js/runInfoPanel.js",
+  "./js/sampleSheet.js",
+  "./js/genotypeClustering.js",
+  "./js/genotypeCaller.js",
+  "./js/replicateGroups.js",
+  "./js/wellQC.js",
+  "./js/temperatureQC.js",
   "./js/utils.js",
   "./lib/jszip.min.js",
   "./lib/chart.min.js",